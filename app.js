@@ -1,4 +1,4 @@
-import { validate, computeGroups, buildLinkMatrix, matrixToList } from './solver.js';
+import { validateIssues, computeGroups, computeRounds, explainSolution, evaluateSolution, diagnose, aggregateLinkWeight, buildLinkMatrix, matrixToList } from './solver.js';
 
 // ── State ───────────────────────────────────────────────────────────────────
 
@@ -8,14 +8,41 @@ const state = {
   tags: [],
   minimumCombinedWeight: 0,
   maximumCombinedWeight: 100,
+  groupTemplates: [],
+  groupSlots: [],
+  pinnedNodes: {},
+  resources: [],
+  minGroups: null,
+  maxGroups: null,
   allowFreeNodes: false,
-  symmetricLinks: true,
+  linkAggregation: 'either',
+  cannotLink: [],
+  mustLink: [],
+  algorithm: 'greedy',
+  timeLimitMs: 2000,
+  effort: 'normal',
+  minSolutionDistance: 0,
+  pruning: 'wasteful',
+  pruningThreshold: 1,
+  stabilityWeight: 10,
+  rounds: 1,
+  repeatPenalty: null,
   solutions: null,
   selectedSolution: null,
+  schedule: null,
+};
+
+/** Search effort presets offered next to the run button; "normal" keeps the solver defaults. */
+const EFFORT_PRESETS = {
+  quick: { seeds: 5, localSearchIterations: 20, exhaustiveThreshold: 10 },
+  normal: {},
+  thorough: { seeds: 80, localSearchIterations: 1000, exactTimeLimitMs: 5000 },
 };
 
 let nextNodeId = 1;
 let nextTagId = 1;
+let nextSlotId = 1;
+let nextResourceId = 1;
 
 const TAG_PALETTE = [
   '#4f46e5', '#059669', '#d97706', '#dc2626', '#7c3aed',
@@ -32,6 +59,9 @@ const FREE_NODE_COLOR = '#9ca3af';
 const LOCAL_STORAGE_KEY = 'nodeGroupOrganizer';
 const TAG_BONUS = 2;
 
+/** Key of the node weight in the resource map passed to the solver; no resource may use it. */
+const PRIMARY_RESOURCE = 'nodeWeight';
+
 /** Returns a matrix of link weights from tags only (+tag.bonus per shared tag per pair). */
 function getTagLinkMatrix() {
   const tagMatrix = {};
@@ -52,6 +82,30 @@ function getTagLinkMatrix() {
   return tagMatrix;
 }
 
+/** Options passed to both validate and computeGroups. */
+function getSolverOptions() {
+  return {
+    allowFreeNodes: state.allowFreeNodes,
+    linkAggregation: state.linkAggregation,
+    groupTemplates: state.groupTemplates,
+    groupSlots: state.groupSlots,
+    pinnedNodes: state.pinnedNodes,
+    primaryResource: PRIMARY_RESOURCE,
+    resourceLimits: Object.fromEntries(
+      state.resources.map((r) => [resourceKey(r), { min: r.min ?? 0, max: r.max ?? Infinity }])
+    ),
+    algorithm: state.algorithm,
+    timeLimitMs: state.timeLimitMs,
+    ...EFFORT_PRESETS[state.effort],
+    minSolutionDistance: state.minSolutionDistance,
+    pruning: state.pruning === 'threshold' ? { minInGroupWeight: state.pruningThreshold } : state.pruning,
+    minGroups: state.minGroups,
+    maxGroups: state.maxGroups,
+    cannotLink: state.cannotLink,
+    mustLink: state.mustLink,
+  };
+}
+
 /** Returns custom link weights + tag link weights (sum of both matrices). */
 function getEffectiveLinkMatrix() {
   const effective = {};
@@ -72,9 +126,28 @@ const btnToggleNodes = document.getElementById('btn-toggle-nodes');
 const matrixContainer = document.getElementById('matrix-container');
 const inputMin = document.getElementById('input-min');
 const inputMax = document.getElementById('input-max');
+const inputMinGroups = document.getElementById('input-min-groups');
+const inputMaxGroups = document.getElementById('input-max-groups');
+const templatesList = document.getElementById('templates-list');
+const btnAddTemplate = document.getElementById('btn-add-template');
+const slotsList = document.getElementById('slots-list');
+const btnAddSlot = document.getElementById('btn-add-slot');
+const resourcesList = document.getElementById('resources-list');
+const btnAddResource = document.getElementById('btn-add-resource');
 const inputAllowFree = document.getElementById('input-allow-free');
-const inputSymmetricLinks = document.getElementById('input-symmetric-links');
+const inputLinkAggregation = document.getElementById('input-link-aggregation');
 const btnRun = document.getElementById('btn-run');
+const inputAlgorithm = document.getElementById('input-algorithm');
+const inputTimeLimit = document.getElementById('input-time-limit');
+const inputEffort = document.getElementById('input-effort');
+const inputMinDistance = document.getElementById('input-min-distance');
+const inputPruning = document.getElementById('input-pruning');
+const inputPruningThreshold = document.getElementById('input-pruning-threshold');
+const inputRounds = document.getElementById('input-rounds');
+const inputRepeatPenalty = document.getElementById('input-repeat-penalty');
+const reoptimizeBar = document.getElementById('reoptimize-bar');
+const btnReoptimize = document.getElementById('btn-reoptimize');
+const inputStability = document.getElementById('input-stability');
 const btnResetLinks = document.getElementById('btn-reset-links');
 const btnClearTagLinks = document.getElementById('btn-clear-tag-links');
 const btnSave = document.getElementById('btn-save');
@@ -82,9 +155,12 @@ const inputLoad = document.getElementById('input-load');
 const validationErrors = document.getElementById('validation-errors');
 const resultsFieldset = document.getElementById('results-fieldset');
 const resultsDiv = document.getElementById('results');
+const roundTabs = document.getElementById('round-tabs');
 const graphContainer = document.getElementById('graph-container');
 const inputAnimateGraph = document.getElementById('input-animate-graph');
 const solverLoading = document.getElementById('solver-loading');
+const solverProgress = document.getElementById('solver-progress');
+const btnCancelSolve = document.getElementById('btn-cancel-solve');
 
 // ── vis-network ─────────────────────────────────────────────────────────────
 
@@ -154,7 +230,7 @@ function syncGraph() {
       if (nodeIds.has(from) && nodeIds.has(to)) {
         const pairKey = from < to ? `${from}|${to}` : `${to}|${from}`;
         const other = effectiveMatrix[`${to}|${from}`] || 0;
-        const pairW = state.symmetricLinks ? (w || other) : (w + other);
+        const pairW = aggregateLinkWeight(w, other, state.linkAggregation);
         if (pairW !== 0 && !wantedEdges.has(pairKey)) {
           const absW = Math.abs(pairW);
           wantedEdges.set(pairKey, {
@@ -214,7 +290,7 @@ function weightToEdgeColor(w) {
 function colorGraphBySolution(solution) {
   if (!solution) {
     for (const n of state.nodes) {
-      visNodes.update({ id: n.id, color: { background: '#e5e7eb', border: '#9ca3af' } });
+      visNodes.update({ id: n.id, title: null, color: { background: '#e5e7eb', border: '#9ca3af' } });
     }
     for (const eid of visEdges.getIds()) {
       const e = visEdges.get(eid);
@@ -230,11 +306,14 @@ function colorGraphBySolution(solution) {
   });
 
   const freeSet = new Set(solution.freeNodes || []);
+  const explanation = explainForUi(solution);
 
   for (const n of state.nodes) {
+    const title = explanation[n.id] ? nodeTooltip(n.id, explanation[n.id], solution) : null;
     if (freeSet.has(n.id)) {
       visNodes.update({
         id: n.id,
+        title,
         color: { background: '#f3f4f6', border: FREE_NODE_COLOR },
         borderWidth: 1,
         shapeProperties: { borderDashes: [4, 4] },
@@ -244,6 +323,7 @@ function colorGraphBySolution(solution) {
       const c = gi != null ? GROUP_COLORS[gi % GROUP_COLORS.length] : '#9ca3af';
       visNodes.update({
         id: n.id,
+        title,
         color: { background: c + '33', border: c },
         borderWidth: 2,
         shapeProperties: { borderDashes: false },
@@ -274,7 +354,7 @@ function addNode(id, label, nodeWeight) {
   if (label == null) label = '';
   if (nodeWeight == null) nodeWeight = 1;
 
-  state.nodes.push({ id, label, nodeWeight });
+  state.nodes.push({ id, label, nodeWeight, resources: {} });
   renderNodeRow(state.nodes.length - 1);
   const newRow = nodesList.lastElementChild;
   if (newRow) {
@@ -315,6 +395,18 @@ function renderNodeRow(index) {
     saveToLocalStorage();
   });
 
+  const selectSlot = document.createElement('select');
+  selectSlot.title = 'Pin this node to a named group';
+  selectSlot.hidden = state.groupSlots.length === 0;
+  selectSlot.add(new Option('Any group', ''));
+  for (const slot of state.groupSlots) selectSlot.add(new Option(slotLabel(slot), slot.id));
+  selectSlot.value = state.pinnedNodes[n.id] ?? '';
+  selectSlot.addEventListener('change', () => {
+    if (selectSlot.value) state.pinnedNodes[n.id] = selectSlot.value;
+    else delete state.pinnedNodes[n.id];
+    saveToLocalStorage();
+  });
+
   const btnRemove = document.createElement('button');
   btnRemove.className = 'danger';
   btnRemove.textContent = 'Remove';
@@ -323,7 +415,22 @@ function renderNodeRow(index) {
     removeNode(index);
   });
 
-  row.append(inputLabel, inputWeight, btnRemove);
+  const resourceInputs = state.resources.map((r) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.value = n.resources?.[r.id] ?? 0;
+    input.title = resourceKey(r);
+    input.addEventListener('input', () => {
+      n.resources = { ...n.resources, [r.id]: Math.max(0, parseFloat(input.value) || 0) };
+      saveToLocalStorage();
+    });
+    return input;
+  });
+
+  row.append(inputLabel, inputWeight, ...resourceInputs, selectSlot, btnRemove);
+  markIssues(row, issuesFor(n.id));
   nodesList.appendChild(row);
 }
 
@@ -339,6 +446,9 @@ function removeNode(index) {
   state.tags.forEach((t) => {
     t.nodeIds = (t.nodeIds || []).filter((id) => id !== removed.id);
   });
+  state.cannotLink = state.cannotLink.filter((pair) => !pair.includes(removed.id));
+  state.mustLink = state.mustLink.filter((pair) => !pair.includes(removed.id));
+  delete state.pinnedNodes[removed.id];
 
   rebuildNodesUI();
   renderMatrix();
@@ -397,6 +507,7 @@ function renderMatrix() {
     btnTags.addEventListener('click', () => openTagsModal(node));
     btns.append(btnLinks, btnTags);
     li.append(left, btns);
+    markIssues(li, issuesFor(node.id));
     list.appendChild(li);
   }
   matrixContainer.appendChild(list);
@@ -405,20 +516,31 @@ function renderMatrix() {
 function getLinkValue(fromId, toId) {
   const v = state.linkMatrix[`${fromId}|${toId}`];
   if (v !== undefined && v !== 0) return v;
-  if (state.symmetricLinks) return state.linkMatrix[`${toId}|${fromId}`] ?? 0;
+  if (state.linkAggregation === 'either') return state.linkMatrix[`${toId}|${fromId}`] ?? 0;
   return 0;
 }
 
 function setLinkValue(fromId, toId, val) {
   if (val !== 0) {
     state.linkMatrix[`${fromId}|${toId}`] = val;
-    if (state.symmetricLinks) state.linkMatrix[`${toId}|${fromId}`] = val;
+    if (state.linkAggregation === 'either') state.linkMatrix[`${toId}|${fromId}`] = val;
   } else {
     delete state.linkMatrix[`${fromId}|${toId}`];
-    if (state.symmetricLinks) delete state.linkMatrix[`${toId}|${fromId}`];
+    if (state.linkAggregation === 'either') delete state.linkMatrix[`${toId}|${fromId}`];
   }
 }
 
+function hasPair(pairs, a, b) {
+  return pairs.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+/** Returns `pairs` with the unordered pair (a, b) removed, then re-added when `on`. */
+function withPair(pairs, a, b, on) {
+  const rest = pairs.filter(([x, y]) => !((x === a && y === b) || (x === b && y === a)));
+  if (on) rest.push([a, b]);
+  return rest;
+}
+
 function openLinkModal(fromNode) {
   linkModalTitle.textContent = `Links from ${fromNode.label || fromNode.id}`;
   linkModalBody.innerHTML = '';
@@ -430,7 +552,7 @@ function openLinkModal(fromNode) {
     const table = document.createElement('table');
     table.className = 'link-modal-table';
     const thead = document.createElement('thead');
-    thead.innerHTML = '<tr><th>To node</th><th>Weight</th></tr>';
+    thead.innerHTML = '<tr><th>To node</th><th>Weight</th><th>Must be together</th><th>Never together</th></tr>';
     table.appendChild(thead);
     const tbody = document.createElement('tbody');
     for (const toNode of others) {
@@ -453,7 +575,37 @@ function openLinkModal(fromNode) {
         saveToLocalStorage();
       });
       tdInput.appendChild(inp);
-      tr.append(tdLabel, tdInput);
+      const tdTogether = document.createElement('td');
+      const cbTogether = document.createElement('input');
+      cbTogether.type = 'checkbox';
+      cbTogether.checked = hasPair(state.mustLink, fromId, toId);
+      cbTogether.title = 'Always in the same group';
+      const tdApart = document.createElement('td');
+      const cbApart = document.createElement('input');
+      cbApart.type = 'checkbox';
+      cbApart.checked = hasPair(state.cannotLink, fromId, toId);
+      cbApart.title = 'Never in the same group';
+      // A pair can't be both; ticking one clears the other.
+      cbTogether.addEventListener('change', () => {
+        state.mustLink = withPair(state.mustLink, fromId, toId, cbTogether.checked);
+        if (cbTogether.checked && cbApart.checked) {
+          cbApart.checked = false;
+          state.cannotLink = withPair(state.cannotLink, fromId, toId, false);
+        }
+        saveToLocalStorage();
+      });
+      cbApart.addEventListener('change', () => {
+        state.cannotLink = withPair(state.cannotLink, fromId, toId, cbApart.checked);
+        if (cbApart.checked && cbTogether.checked) {
+          cbTogether.checked = false;
+          state.mustLink = withPair(state.mustLink, fromId, toId, false);
+        }
+        saveToLocalStorage();
+      });
+      tdTogether.appendChild(cbTogether);
+      tdApart.appendChild(cbApart);
+      tr.append(tdLabel, tdInput, tdTogether, tdApart);
+      markIssues(tr, issuesFor(fromId, toId));
       tbody.appendChild(tr);
     }
     table.appendChild(tbody);
@@ -606,23 +758,304 @@ inputMax.addEventListener('input', () => {
   saveToLocalStorage();
 });
 
+inputMinGroups.addEventListener('input', () => {
+  state.minGroups = parseOptionalCount(inputMinGroups.value);
+  saveToLocalStorage();
+});
+
+inputMaxGroups.addEventListener('input', () => {
+  state.maxGroups = parseOptionalCount(inputMaxGroups.value);
+  saveToLocalStorage();
+});
+
+// ── Group templates (mixed group sizes) ─────────────────────────────────────
+
+function templateLabel(index) {
+  const t = state.groupTemplates[index];
+  if (!t) return '';
+  return t.label || `${t.min}–${t.max}`;
+}
+
+function parseOptionalCount(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function renderTemplateRows() {
+  templatesList.innerHTML = '';
+  state.groupTemplates.forEach((t, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = t.label;
+    labelInput.placeholder = 'Label';
+    labelInput.addEventListener('input', () => {
+      t.label = labelInput.value;
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = t.min;
+    minInput.title = 'Minimum combined weight';
+    minInput.addEventListener('input', () => {
+      t.min = parseFloat(minInput.value) || 0;
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '0';
+    maxInput.step = '1';
+    maxInput.value = t.max;
+    maxInput.title = 'Maximum combined weight';
+    maxInput.addEventListener('input', () => {
+      t.max = parseFloat(maxInput.value) || 0;
+      saveToLocalStorage();
+    });
+
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = '0';
+    countInput.step = '1';
+    countInput.value = t.count ?? '';
+    countInput.placeholder = '∞';
+    countInput.title = 'How many groups of this template (blank = unlimited)';
+    countInput.addEventListener('input', () => {
+      t.count = parseOptionalCount(countInput.value);
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.groupTemplates.splice(index, 1);
+      renderTemplateRows();
+      saveToLocalStorage();
+    });
+
+    row.append(labelInput, minInput, maxInput, countInput, btnRemove);
+    templatesList.appendChild(row);
+  });
+}
+
+btnAddTemplate.addEventListener('click', () => {
+  state.groupTemplates.push({
+    label: '',
+    min: state.minimumCombinedWeight,
+    max: state.maximumCombinedWeight,
+    count: null,
+  });
+  renderTemplateRows();
+  saveToLocalStorage();
+});
+
+// ── Named groups (pin nodes to a slot) ──────────────────────────────────────
+
+function slotLabel(slot) {
+  return slot.label || slot.id;
+}
+
+function parseOptionalBound(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function renderSlotRows() {
+  slotsList.innerHTML = '';
+  state.groupSlots.forEach((slot, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = slot.label;
+    labelInput.placeholder = 'Group name';
+    labelInput.addEventListener('input', () => {
+      slot.label = labelInput.value;
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = slot.min ?? '';
+    minInput.placeholder = String(state.minimumCombinedWeight);
+    minInput.title = 'Minimum (blank = global minimum)';
+    minInput.addEventListener('input', () => {
+      slot.min = parseOptionalBound(minInput.value);
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '0';
+    maxInput.step = '1';
+    maxInput.value = slot.max ?? '';
+    maxInput.placeholder = String(state.maximumCombinedWeight);
+    maxInput.title = 'Maximum (blank = global maximum)';
+    maxInput.addEventListener('input', () => {
+      slot.max = parseOptionalBound(maxInput.value);
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.groupSlots.splice(index, 1);
+      for (const [id, slotId] of Object.entries(state.pinnedNodes)) {
+        if (slotId === slot.id) delete state.pinnedNodes[id];
+      }
+      renderSlotRows();
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    row.append(labelInput, minInput, maxInput, btnRemove);
+    slotsList.appendChild(row);
+  });
+}
+
+btnAddSlot.addEventListener('click', () => {
+  const id = `s${nextSlotId++}`;
+  state.groupSlots.push({ id, label: `Group ${state.groupSlots.length + 1}`, min: null, max: null });
+  renderSlotRows();
+  rebuildNodesUI();
+  saveToLocalStorage();
+});
+
+// ── Resources (extra per-node amounts with per-group limits) ────────────────
+
+/** Key of a resource in the solver's nodeWeight maps, resourceLimits and resourceSums. */
+function resourceKey(resource) {
+  return resource.name.trim() || resource.id;
+}
+
+/** Resource names the solver cannot tell apart: the reserved primary key, or a name used twice. */
+function resourceNameIssues() {
+  const issues = [];
+  const seen = new Set();
+  for (const resource of state.resources) {
+    const key = resourceKey(resource);
+    if (key === PRIMARY_RESOURCE) {
+      issues.push({ code: 'resource', severity: 'error', nodeIds: [], message: `The resource name "${key}" is reserved for the node weight; pick another name.` });
+    } else if (seen.has(key)) {
+      issues.push({ code: 'resource', severity: 'error', nodeIds: [], message: `Two resources are named "${key}"; give each a different name.` });
+    }
+    seen.add(key);
+  }
+  return issues;
+}
+
+/** Nodes as passed to the solver: with resources, nodeWeight becomes a map whose primary entry is the node weight. */
+function getSolverNodes() {
+  if (state.resources.length === 0) return state.nodes;
+  return state.nodes.map((n) => ({
+    id: n.id,
+    label: n.label,
+    nodeWeight: {
+      [PRIMARY_RESOURCE]: n.nodeWeight,
+      ...Object.fromEntries(state.resources.map((r) => [resourceKey(r), n.resources?.[r.id] ?? 0])),
+    },
+  }));
+}
+
+function renderResourceRows() {
+  resourcesList.innerHTML = '';
+  state.resources.forEach((resource, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = resource.name;
+    nameInput.placeholder = 'Resource name';
+    nameInput.addEventListener('input', () => {
+      resource.name = nameInput.value;
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = resource.min ?? '';
+    minInput.placeholder = 'Min';
+    minInput.title = 'Minimum per group (blank = none)';
+    minInput.addEventListener('input', () => {
+      resource.min = parseOptionalBound(minInput.value);
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '0';
+    maxInput.step = '1';
+    maxInput.value = resource.max ?? '';
+    maxInput.placeholder = 'Max';
+    maxInput.title = 'Maximum per group (blank = none)';
+    maxInput.addEventListener('input', () => {
+      resource.max = parseOptionalBound(maxInput.value);
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.resources.splice(index, 1);
+      for (const n of state.nodes) delete n.resources?.[resource.id];
+      renderResourceRows();
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    row.append(nameInput, minInput, maxInput, btnRemove);
+    resourcesList.appendChild(row);
+  });
+}
+
+btnAddResource.addEventListener('click', () => {
+  const id = `r${nextResourceId++}`;
+  state.resources.push({ id, name: '', min: null, max: null });
+  renderResourceRows();
+  rebuildNodesUI();
+  saveToLocalStorage();
+});
+
 inputAllowFree.addEventListener('change', () => {
   state.allowFreeNodes = inputAllowFree.checked;
   saveToLocalStorage();
 });
 
-inputSymmetricLinks.addEventListener('change', () => {
-  const next = inputSymmetricLinks.checked;
-  if (next && !state.symmetricLinks) {
-    symmetrizeMatrix();
+inputLinkAggregation.addEventListener('change', () => {
+  const next = inputLinkAggregation.value;
+  if (next === 'either' && state.linkAggregation !== 'either') {
+    symmetrizeMatrix(state.linkAggregation);
   }
-  state.symmetricLinks = next;
+  state.linkAggregation = next;
   renderMatrix();
   syncGraph();
   saveToLocalStorage();
 });
 
-function symmetrizeMatrix() {
+/** Stores every pair's weight under `linkAggregation` in both directions, so symmetric editing keeps the same pair weights. */
+function symmetrizeMatrix(linkAggregation) {
   const seen = new Set();
   for (const key of Object.keys(state.linkMatrix)) {
     const [a, b] = key.split('|');
@@ -631,10 +1064,13 @@ function symmetrizeMatrix() {
     seen.add(pairKey);
     const ab = state.linkMatrix[`${a}|${b}`] ?? 0;
     const ba = state.linkMatrix[`${b}|${a}`] ?? 0;
-    const v = ab !== 0 ? ab : ba;
+    const v = aggregateLinkWeight(ab, ba, linkAggregation);
     if (v !== 0) {
       state.linkMatrix[`${a}|${b}`] = v;
       state.linkMatrix[`${b}|${a}`] = v;
+    } else {
+      delete state.linkMatrix[`${a}|${b}`];
+      delete state.linkMatrix[`${b}|${a}`];
     }
   }
 }
@@ -661,57 +1097,377 @@ if (btnClearTagLinks) {
 
 // ── Run solver ──────────────────────────────────────────────────────────────
 
-btnRun.addEventListener('click', () => {
+/** The time budget only bounds simulated annealing; the threshold only applies to threshold pruning. */
+function syncSearchInputs() {
+  inputAlgorithm.value = state.algorithm;
+  inputTimeLimit.value = state.timeLimitMs / 1000;
+  inputTimeLimit.disabled = state.algorithm !== 'annealing';
+  inputEffort.value = state.effort;
+  inputMinDistance.value = state.minSolutionDistance;
+  inputPruning.value = state.pruning;
+  inputPruningThreshold.value = state.pruningThreshold;
+  inputPruningThreshold.disabled = state.pruning !== 'threshold';
+  inputStability.value = state.stabilityWeight;
+  inputRounds.value = state.rounds;
+  inputRepeatPenalty.value = state.repeatPenalty ?? '';
+  syncPruningTitle();
+}
+
+/** Warns on the pruning control that, over several rounds, wasteful pruning can favor repeats. */
+function syncPruningTitle() {
+  inputPruning.title = state.rounds > 1 && state.pruning === 'wasteful'
+    ? 'A pair that already met in an earlier round still counts as a link, so this setting can favor repeats; "Keep all solutions" avoids that.'
+    : '';
+}
+
+inputAlgorithm.addEventListener('change', () => {
+  state.algorithm = inputAlgorithm.value;
+  syncSearchInputs();
+  saveToLocalStorage();
+});
+
+inputEffort.addEventListener('change', () => {
+  state.effort = inputEffort.value;
+  saveToLocalStorage();
+});
+
+inputMinDistance.addEventListener('input', () => {
+  const pairs = parseInt(inputMinDistance.value, 10);
+  state.minSolutionDistance = Number.isInteger(pairs) && pairs >= 0 ? pairs : 0;
+  saveToLocalStorage();
+});
+
+inputPruning.addEventListener('change', () => {
+  state.pruning = inputPruning.value;
+  syncSearchInputs();
+  saveToLocalStorage();
+});
+
+inputPruningThreshold.addEventListener('input', () => {
+  const weight = parseFloat(inputPruningThreshold.value);
+  if (Number.isFinite(weight)) state.pruningThreshold = weight;
+  saveToLocalStorage();
+});
+
+inputRounds.addEventListener('input', () => {
+  const rounds = parseInt(inputRounds.value, 10);
+  state.rounds = Number.isInteger(rounds) && rounds >= 1 ? rounds : 1;
+  syncPruningTitle();
+  saveToLocalStorage();
+});
+
+inputRepeatPenalty.addEventListener('input', () => {
+  const penalty = parseFloat(inputRepeatPenalty.value);
+  state.repeatPenalty = Number.isFinite(penalty) && penalty >= 0 ? penalty : null;
+  saveToLocalStorage();
+});
+
+inputTimeLimit.addEventListener('input', () => {
+  const seconds = parseFloat(inputTimeLimit.value);
+  if (Number.isFinite(seconds) && seconds > 0) state.timeLimitMs = Math.round(seconds * 1000);
+  saveToLocalStorage();
+});
+
+inputStability.addEventListener('input', () => {
+  const weight = parseFloat(inputStability.value);
+  if (Number.isFinite(weight) && weight >= 0) state.stabilityWeight = weight;
+  saveToLocalStorage();
+});
+
+/**
+ * Issues with the current input, as the Run button checks it: resource names plus
+ * validateIssues on `linkMatrix` (the effective links) and the solver `options`.
+ */
+function inputIssues(linkMatrix, options) {
+  return [
+    ...resourceNameIssues(),
+    ...validateIssues(getSolverNodes(), linkMatrix, state.minimumCombinedWeight, state.maximumCombinedWeight, options),
+  ];
+}
+
+/** Validates and starts a run; `extraOptions` are merged over the UI options. */
+function runSolver(extraOptions = {}) {
   hideErrors();
   const effectiveMatrix = getEffectiveLinkMatrix();
-  const errors = validate(
-    state.nodes,
-    effectiveMatrix,
-    state.minimumCombinedWeight,
-    state.maximumCombinedWeight
-  );
-  if (errors.length > 0) {
-    showErrors(errors);
+  const options = { ...getSolverOptions(), ...extraOptions };
+  const issues = inputIssues(effectiveMatrix, options);
+  showValidationIssues(issues);
+  if (issues.some((i) => i.severity === 'error')) return;
+
+  startSolve(effectiveMatrix, options);
+}
+
+/** Options of a multi-round run (computeRounds), or none for a single round. */
+function getRoundOptions() {
+  if (state.rounds <= 1) return {};
+  return {
+    rounds: state.rounds,
+    ...(state.repeatPenalty != null ? { repeatPenalty: state.repeatPenalty } : {}),
+  };
+}
+
+btnRun.addEventListener('click', () => runSolver(getRoundOptions()));
+
+// Warm start from the selected solution, penalizing every node that moves
+btnReoptimize.addEventListener('click', () => {
+  const previous = state.solutions && state.solutions[state.selectedSolution];
+  if (!previous) return;
+  runSolver({
+    previousSolution: { groups: previous.groups, freeNodes: previous.freeNodes },
+    stabilityWeight: state.stabilityWeight,
+  });
+});
+
+/** Run in progress: its worker and the best solutions it last reported. */
+let activeSolve = null;
+
+function showSolveResult(result) {
+  if (result.rounds) {
+    showSchedule(result);
     return;
   }
+  hideSchedule();
+  if (result.errors && result.errors.length > 0) {
+    showErrors(result.errors);
+    return;
+  }
+
+  state.solutions = result.solutions;
+  state.selectedSolution = null;
+  renderResults(result.solutions, result.optimal, result.gap, result.components, result.pruned);
+}
+
+function formatProgress({ phase, seedsDone, seedsTotal, componentsDone, componentsTotal, bestScore }) {
+  const best = bestScore == null ? '' : ` · best score ${+bestScore.toFixed(2)}`;
+  if (phase === 'greedy') return `Greedy starts ${seedsDone}/${seedsTotal}${best}`;
+  if (phase === 'annealing') return `Simulated annealing…${best}`;
+  if (phase === 'exact') return `Proving optimality…${best}`;
+  if (phase === 'warm-start') return `Adapting the previous solution…${best}`;
+  if (phase === 'components') return `Solving clusters on their own ${componentsDone}/${componentsTotal}${best}`;
+  return `Checked every grouping${best}`;
+}
 
+function finishSolve() {
+  if (activeSolve) activeSolve.worker.terminate();
+  activeSolve = null;
+  if (solverLoading) solverLoading.hidden = true;
+}
+
+function startSolve(linkMatrix, options) {
+  const job = {
+    nodes: getSolverNodes(),
+    linkMatrix,
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+    options,
+  };
   if (solverLoading) solverLoading.hidden = false;
-  setTimeout(() => {
-    try {
-      const result = computeGroups(
-        state.nodes,
-        effectiveMatrix,
-        state.minimumCombinedWeight,
-        state.maximumCombinedWeight,
-        { allowFreeNodes: state.allowFreeNodes, symmetricLinks: state.symmetricLinks }
-      );
-
-      if (result.errors && result.errors.length > 0) {
-        showErrors(result.errors);
-        return;
+  if (solverProgress) solverProgress.textContent = '';
+
+  // Without worker support, solve on the page as before (no progress or cancel)
+  if (typeof Worker === 'undefined') {
+    setTimeout(() => {
+      try {
+        const solve = job.options.rounds > 1 ? computeRounds : computeGroups;
+        showSolveResult(solve(job.nodes, job.linkMatrix, job.minCombined, job.maxCombined, job.options));
+      } finally {
+        if (solverLoading) solverLoading.hidden = true;
       }
+    }, 0);
+    return;
+  }
+
+  const run = {
+    worker: new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' }),
+    latest: null,
+    rounds: job.options.rounds > 1 ? job.options.rounds : null,
+  };
+  activeSolve = run;
+  run.worker.addEventListener('message', (e) => {
+    if (activeSolve !== run) return;
+    const msg = e.data;
+    if (msg.type === 'progress') {
+      run.latest = msg.solutions;
+      const round = run.rounds ? `Round ${msg.round + 1} of ${run.rounds} · ` : '';
+      if (solverProgress) solverProgress.textContent = round + formatProgress(msg);
+    } else if (msg.type === 'done') {
+      finishSolve();
+      showSolveResult(msg.result);
+    }
+  });
+  run.worker.addEventListener('error', (e) => {
+    if (activeSolve !== run) return;
+    finishSolve();
+    showErrors([`Solver failed: ${e.message}`]);
+  });
+  run.worker.postMessage(job);
+}
 
-      state.solutions = result.solutions;
+// Cancelling keeps whatever the worker had found so far (a multi-round run keeps nothing)
+if (btnCancelSolve) {
+  btnCancelSolve.addEventListener('click', () => {
+    if (!activeSolve) return;
+    const latest = activeSolve.rounds ? null : activeSolve.latest;
+    finishSolve();
+    if (latest && latest.length > 0) {
+      hideSchedule();
+      state.solutions = latest;
       state.selectedSolution = null;
-      renderResults(result.solutions, result.optimal);
-    } finally {
-      if (solverLoading) solverLoading.hidden = true;
+      renderResults(latest, false, null);
     }
-  }, 0);
-});
+  });
+}
+
+// ── Rounds ──────────────────────────────────────────────────────────────────
+
+/** Shows a computeRounds result: one tab per round, the repeat count and the schedule export. */
+function showSchedule({ rounds, repeats, errors }) {
+  if (errors.length > 0) showErrors(errors);
+  if (rounds.length === 0) {
+    hideSchedule();
+    return;
+  }
+  state.schedule = rounds;
+  roundTabs.innerHTML = '';
+  rounds.forEach((_, ri) => {
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'round-tab';
+    tab.textContent = `Round ${ri + 1}`;
+    tab.addEventListener('click', () => showRound(ri));
+    roundTabs.appendChild(tab);
+  });
+  const summary = document.createElement('span');
+  summary.className = 'round-summary';
+  summary.textContent = `${repeats} repeated pair(s)`;
+  const btnExport = document.createElement('button');
+  btnExport.type = 'button';
+  btnExport.className = 'btn-small';
+  btnExport.textContent = 'Export schedule';
+  btnExport.title = 'Download every round as CSV';
+  btnExport.addEventListener('click', exportSchedule);
+  roundTabs.append(summary, btnExport);
+  roundTabs.hidden = false;
+  showRound(0);
+}
+
+function hideSchedule() {
+  state.schedule = null;
+  roundTabs.hidden = true;
+  roundTabs.innerHTML = '';
+}
+
+/** Renders round `index` of the schedule as the only solution, with the pairs it repeats. */
+function showRound(index) {
+  const round = state.schedule[index];
+  roundTabs.querySelectorAll('.round-tab').forEach((tab, i) => tab.classList.toggle('selected', i === index));
+  state.solutions = [round];
+  state.selectedSolution = null;
+  renderResults([round], false, null);
+
+  const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+  const note = document.createElement('p');
+  note.className = 'hint';
+  note.textContent = round.repeatedPairs.length === 0
+    ? 'No pair in this round shared a group in an earlier round.'
+    : `Already met in an earlier round: ${round.repeatedPairs.map(([a, b]) => `${idToLabel(a)} & ${idToLabel(b)}`).join(', ')}.`;
+  resultsDiv.prepend(note);
+}
+
+/** Downloads the schedule as CSV, one row per node and round. */
+function exportSchedule() {
+  if (!state.schedule) return;
+  const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+  const rows = [['Round', 'Group', 'Node']];
+  state.schedule.forEach((round, ri) => {
+    round.groupDetails.forEach((gd, gi) => {
+      for (const id of gd.nodeIds) rows.push([ri + 1, gd.label ?? gi + 1, idToLabel(id)]);
+    });
+    for (const id of round.freeNodes || []) rows.push([ri + 1, 'free', idToLabel(id)]);
+  });
+  const csv = rows.map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n') + '\n';
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'node-group-schedule.csv';
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 // ── Results UI ──────────────────────────────────────────────────────────────
 
-function renderResults(solutions, optimal) {
+/** Per-node explanation of `solution` under the current link weights and options. */
+function explainForUi(solution) {
+  return explainSolution(getSolverNodes(), getEffectiveLinkMatrix(), solution, {
+    ...getSolverOptions(),
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+  });
+}
+
+/** Tooltip text for node `id` of `solution` (results tables and graph). */
+function nodeTooltip(id, info, solution) {
+  const idToLabel = (nodeId) => state.nodes.find((n) => n.id === nodeId)?.label || nodeId;
+  const groupName = (gi) => (gi === -1 ? 'free' : solution.groupDetails[gi]?.label ?? `group ${gi + 1}`);
+  const lines = [];
+  if (solution.movedNodes && solution.movedNodes.includes(id)) lines.push('Moved since the solution you re-optimized');
+  lines.push(info.groupIndex === -1 ? 'Free node' : `Adds ${info.contribution} to ${groupName(info.groupIndex)}`);
+  if (info.strongestInGroup) {
+    lines.push(`Strongest link here: ${idToLabel(info.strongestInGroup.nodeId)} (${info.strongestInGroup.linkWeight})`);
+  }
+  if (info.strongestOutOfGroup) {
+    const { nodeId, linkWeight, groupIndex } = info.strongestOutOfGroup;
+    lines.push(`Strongest link elsewhere: ${idToLabel(nodeId)} (${linkWeight}, ${groupName(groupIndex)})`);
+  }
+  if (info.bestMove) {
+    const { toGroup, delta } = info.bestMove;
+    const where = toGroup === -1 ? 'leave it free' : `move to ${groupName(toGroup)}`;
+    lines.push(`Best single move: ${where} (${delta >= 0 ? '+' : ''}${delta})`);
+  } else {
+    lines.push('No feasible single move');
+  }
+  return lines.join('\n');
+}
+
+function renderResults(solutions, optimal, gap = null, components = null, pruned = 0) {
   resultsFieldset.hidden = false;
   resultsDiv.innerHTML = '';
+  reoptimizeBar.hidden = true;
 
   if (solutions.length === 0) {
-    resultsDiv.innerHTML = '<p style="color:var(--text-muted);padding:8px;">No feasible solution found. Try relaxing the group bounds or adjusting node weights.</p>';
+    const apartHint = state.cannotLink.length + state.mustLink.length > 0 ? ' The "must be together" and "never together" pairs may also be impossible to meet under these bounds.' : '';
+    const { reasons, suggestion } = diagnose(
+      getSolverNodes(),
+      getEffectiveLinkMatrix(),
+      state.minimumCombinedWeight,
+      state.maximumCombinedWeight,
+      getSolverOptions()
+    );
+    if (reasons.length > 0) {
+      showErrors([...reasons.map((r) => r.message), ...(suggestion ? [suggestion.message] : [])]);
+      resultsDiv.innerHTML = '<p style="color:var(--text-muted);padding:8px;">No feasible solution found; the reasons are listed above.</p>';
+    } else {
+      resultsDiv.innerHTML = `<p style="color:var(--text-muted);padding:8px;">No feasible solution found. Try relaxing the group bounds or adjusting node weights.${apartHint}</p>`;
+    }
     colorGraphBySolution(null);
     return;
   }
 
+  if (components) {
+    const proven = components.filter((c) => c.optimal).length;
+    const note = document.createElement('p');
+    note.className = 'hint';
+    note.textContent = `The links split the nodes into ${components.length} separate clusters; each was solved on its own (${proven} proven optimal) and the results packed into groups.`;
+    resultsDiv.appendChild(note);
+  }
+  if (pruned > 0) {
+    const note = document.createElement('p');
+    note.className = 'hint';
+    note.textContent = `${pruned} solution(s) were left out by the pruning setting.`;
+    resultsDiv.appendChild(note);
+  }
+
   solutions.forEach((sol, idx) => {
     const card = document.createElement('div');
     card.className = 'solution-card';
@@ -721,35 +1477,50 @@ function renderResults(solutions, optimal) {
 
     const freeCount = (sol.freeNodes && sol.freeNodes.length) || 0;
     const freeLabel = freeCount > 0 ? ` | ${freeCount} free` : '';
+    const movedLabel = sol.movedNodes ? ` | ${sol.movedNodes.length} moved` : '';
 
     header.innerHTML = `
-      <span><span class="rank">#${idx + 1}</span>${idx === 0 && optimal ? '<span class="optimal-badge">Optimal</span>' : ''}</span>
-      <span class="total-weight">totalWeight: ${sol.totalWeight}${freeLabel}</span>
+      <span><span class="rank">#${idx + 1}</span>${idx === 0 && optimal ? '<span class="optimal-badge">Optimal</span>' : ''}${idx === 0 && !optimal && gap != null ? `<span class="gap-badge" title="The best possible score is at most this much higher">gap ≤ ${+gap.toFixed(2)}</span>` : ''}</span>
+      ${idx > 0 && sol.distanceToBest != null ? `<span class="distance-badge" title="Node pairs grouped together in only one of #1 and this solution">${sol.distanceToBest} pairs differ from #1</span>` : ''}
+      <span class="total-weight">totalWeight: ${sol.totalWeight}${freeLabel}${movedLabel}</span>
     `;
 
     const body = document.createElement('div');
     body.className = 'solution-body';
 
     const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
-    let tableHTML = '<table><thead><tr><th>Group</th><th>Nodes</th><th>Node Weight Sum</th><th>Combined Weight</th></tr></thead><tbody>';
+    const moved = new Set(sol.movedNodes || []);
+    const nodeLabel = (id) => `<span data-node-id="${id}"${moved.has(id) ? ' class="moved-node"' : ''}>${idToLabel(id)}</span>`;
+    const hasTemplates = sol.groupDetails.some((gd) => gd.templateIndex != null);
+    let tableHTML = `<table><thead><tr><th>Group</th>${hasTemplates ? '<th>Template</th>' : ''}<th>Nodes</th><th>Node Weight Sum</th>${state.resources.map((r) => `<th>${resourceKey(r)}</th>`).join('')}<th>Combined Weight</th></tr></thead><tbody>`;
     sol.groupDetails.forEach((gd, gi) => {
       const color = GROUP_COLORS[gi % GROUP_COLORS.length];
-      const labels = gd.nodeIds.map(idToLabel).join(', ');
+      const labels = gd.nodeIds.map(nodeLabel).join(', ');
       tableHTML += `<tr>
-        <td><span style="display:inline-block;width:12px;height:12px;border-radius:50%;background:${color};margin-right:6px;vertical-align:middle;"></span>${gi + 1}</td>
+        <td><span style="display:inline-block;width:12px;height:12px;border-radius:50%;background:${color};margin-right:6px;vertical-align:middle;"></span>${gd.label ?? gi + 1}</td>
+        ${hasTemplates ? `<td>${templateLabel(gd.templateIndex)}</td>` : ''}
         <td>${labels}</td>
         <td>${gd.nodeWeightSum}</td>
+        ${state.resources.map((r) => `<td>${gd.resourceSums?.[resourceKey(r)] ?? 0}</td>`).join('')}
         <td>${gd.combinedWeight}</td>
       </tr>`;
     });
     tableHTML += '</tbody></table>';
 
     if (freeCount > 0) {
-      const freeLabels = sol.freeNodes.map(idToLabel).join(', ');
+      const freeLabels = sol.freeNodes.map(nodeLabel).join(', ');
       tableHTML += `<div class="free-nodes-banner"><strong>Free Nodes:</strong> ${freeLabels}</div>`;
     }
 
     body.innerHTML = tableHTML;
+    // Explaining is slow on large inputs, so each card fills in its tooltips on first hover
+    body.addEventListener('mouseover', () => {
+      const explanation = explainForUi(sol);
+      for (const span of body.querySelectorAll('[data-node-id]')) {
+        const info = explanation[span.dataset.nodeId];
+        if (info) span.title = nodeTooltip(span.dataset.nodeId, info, sol);
+      }
+    }, { once: true });
 
     header.addEventListener('click', () => {
       const wasOpen = body.classList.contains('open');
@@ -766,6 +1537,7 @@ function renderResults(solutions, optimal) {
         state.selectedSolution = null;
         colorGraphBySolution(null);
       }
+      reoptimizeBar.hidden = state.selectedSolution == null;
     });
 
     card.append(header, body);
@@ -788,16 +1560,58 @@ function hideErrors() {
   validationErrors.innerHTML = '';
 }
 
+/** Issues from the last validation, marked on the node rows and link entries they name. */
+let validationIssues = [];
+
+function issuesFor(...ids) {
+  return validationIssues.filter((i) => ids.every((id) => i.nodeIds.includes(id)));
+}
+
+/** Highlights `el` for `issues` (errors over warnings) with their messages as its tooltip. */
+function markIssues(el, issues) {
+  if (issues.length === 0) return;
+  el.classList.add(issues.some((i) => i.severity === 'error') ? 'has-error' : 'has-warning');
+  el.title = issues.map((i) => i.message).join('\n');
+}
+
+/** Marks the rows behind each issue; only issues without nodes are listed as text. */
+function showValidationIssues(issues) {
+  validationIssues = issues;
+  rebuildNodesUI();
+  renderMatrix();
+  const messages = issues.filter((i) => i.nodeIds.length === 0).map((i) => i.message);
+  const flagged = new Set(issues.flatMap((i) => i.nodeIds)).size;
+  if (flagged > 0) messages.push(`${flagged} node(s) need attention; hover the highlighted rows for details.`);
+  if (messages.length > 0) showErrors(messages);
+}
+
 // ── Local storage (persist across reloads) ───────────────────────────────────
 
 function getSerializableState() {
   return {
-    nodes: state.nodes.map((n) => ({ id: n.id, label: n.label, nodeWeight: n.nodeWeight })),
+    nodes: state.nodes.map((n) => ({ id: n.id, label: n.label, nodeWeight: n.nodeWeight, resources: { ...n.resources } })),
     linkWeights: matrixToList(state.linkMatrix),
     minimumCombinedWeight: state.minimumCombinedWeight,
     maximumCombinedWeight: state.maximumCombinedWeight,
+    groupTemplates: state.groupTemplates.map((t) => ({ label: t.label, min: t.min, max: t.max, count: t.count })),
+    minGroups: state.minGroups,
+    maxGroups: state.maxGroups,
     allowFreeNodes: state.allowFreeNodes,
-    symmetricLinks: state.symmetricLinks,
+    linkAggregation: state.linkAggregation,
+    cannotLink: state.cannotLink.map((pair) => pair.slice()),
+    mustLink: state.mustLink.map((pair) => pair.slice()),
+    algorithm: state.algorithm,
+    timeLimitMs: state.timeLimitMs,
+    effort: state.effort,
+    minSolutionDistance: state.minSolutionDistance,
+    pruning: state.pruning,
+    pruningThreshold: state.pruningThreshold,
+    stabilityWeight: state.stabilityWeight,
+    rounds: state.rounds,
+    repeatPenalty: state.repeatPenalty,
+    groupSlots: state.groupSlots.map((slot) => ({ id: slot.id, label: slot.label, min: slot.min, max: slot.max })),
+    pinnedNodes: { ...state.pinnedNodes },
+    resources: state.resources.map((r) => ({ id: r.id, name: r.name, min: r.min, max: r.max })),
     tags: state.tags.map((t) => ({ id: t.id, name: t.name, color: t.color, bonus: t.bonus ?? 2, nodeIds: (t.nodeIds || []).slice() })),
   };
 }
@@ -827,6 +1641,9 @@ function restoreFromLocalStorage() {
 
 btnSave.addEventListener('click', () => {
   const data = getSerializableState();
+  // The selected solution travels with the data so it can be re-scored (or hand-edited) on load
+  const selected = state.solutions && state.solutions[state.selectedSolution];
+  if (selected) data.solution = { groups: selected.groups, freeNodes: selected.freeNodes };
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -865,15 +1682,60 @@ function loadData(data) {
     id: n.id,
     label: n.label || n.id,
     nodeWeight: n.nodeWeight || 0,
+    resources: { ...n.resources },
   }));
 
   state.linkMatrix = buildLinkMatrix(data.linkWeights || []);
   state.minimumCombinedWeight = data.minimumCombinedWeight || 0;
   state.maximumCombinedWeight = data.maximumCombinedWeight || 100;
+  state.groupTemplates = (data.groupTemplates || []).map((t) => ({
+    label: t.label || '',
+    min: t.min ?? 0,
+    max: t.max ?? state.maximumCombinedWeight,
+    count: t.count ?? null,
+  }));
+  state.minGroups = data.minGroups ?? null;
+  state.maxGroups = data.maxGroups ?? null;
   state.allowFreeNodes = !!data.allowFreeNodes;
-  state.symmetricLinks = data.symmetricLinks !== false;
+  const linkAggregation = data.linkAggregation ?? (data.symmetricLinks === false ? 'sum' : 'either');
+  state.linkAggregation = [...inputLinkAggregation.options].some((o) => o.value === linkAggregation) ? linkAggregation : 'either';
 
   const nodeIdSet = new Set(state.nodes.map((n) => n.id));
+  state.cannotLink = (data.cannotLink || []).filter((pair) => Array.isArray(pair) && pair.every((id) => nodeIdSet.has(id)));
+  state.mustLink = (data.mustLink || []).filter((pair) => Array.isArray(pair) && pair.every((id) => nodeIdSet.has(id)));
+  state.algorithm = data.algorithm === 'annealing' ? 'annealing' : 'greedy';
+  state.timeLimitMs = data.timeLimitMs > 0 ? data.timeLimitMs : 2000;
+  state.effort = Object.hasOwn(EFFORT_PRESETS, data.effort) ? data.effort : 'normal';
+  state.stabilityWeight = Number.isFinite(data.stabilityWeight) && data.stabilityWeight >= 0 ? data.stabilityWeight : 10;
+  state.minSolutionDistance = Number.isInteger(data.minSolutionDistance) && data.minSolutionDistance > 0 ? data.minSolutionDistance : 0;
+  state.pruning = ['off', 'wasteful', 'threshold'].includes(data.pruning) ? data.pruning : 'wasteful';
+  state.pruningThreshold = Number.isFinite(data.pruningThreshold) ? data.pruningThreshold : 1;
+  state.rounds = Number.isInteger(data.rounds) && data.rounds >= 1 ? data.rounds : 1;
+  state.repeatPenalty = Number.isFinite(data.repeatPenalty) && data.repeatPenalty >= 0 ? data.repeatPenalty : null;
+  state.groupSlots = (data.groupSlots || []).filter((slot) => slot && slot.id != null).map((slot) => ({
+    id: String(slot.id),
+    label: slot.label || '',
+    min: slot.min ?? null,
+    max: slot.max ?? null,
+  }));
+  const slotIdSet = new Set(state.groupSlots.map((slot) => slot.id));
+  state.pinnedNodes = Object.fromEntries(
+    Object.entries(data.pinnedNodes || {}).filter(([id, slotId]) => nodeIdSet.has(id) && slotIdSet.has(slotId))
+  );
+  const slotNumericIds = state.groupSlots
+    .map((slot) => parseInt(slot.id.replace(/\D/g, ''), 10))
+    .filter((v) => !isNaN(v));
+  nextSlotId = slotNumericIds.length > 0 ? Math.max(...slotNumericIds) + 1 : 1;
+  state.resources = (data.resources || []).filter((r) => r && r.id != null).map((r) => ({
+    id: String(r.id),
+    name: r.name || '',
+    min: r.min ?? null,
+    max: r.max ?? null,
+  }));
+  const resourceNumericIds = state.resources
+    .map((r) => parseInt(r.id.replace(/\D/g, ''), 10))
+    .filter((v) => !isNaN(v));
+  nextResourceId = resourceNumericIds.length > 0 ? Math.max(...resourceNumericIds) + 1 : 1;
   state.tags = (data.tags || []).map((t) => ({
     id: t.id,
     name: t.name || 'Tag',
@@ -893,28 +1755,51 @@ function loadData(data) {
 
   inputMin.value = state.minimumCombinedWeight;
   inputMax.value = state.maximumCombinedWeight;
+  inputMinGroups.value = state.minGroups ?? '';
+  inputMaxGroups.value = state.maxGroups ?? '';
   inputAllowFree.checked = state.allowFreeNodes;
-  inputSymmetricLinks.checked = state.symmetricLinks;
+  inputLinkAggregation.value = state.linkAggregation;
+  syncSearchInputs();
+  renderTemplateRows();
+  renderSlotRows();
+  renderResourceRows();
   rebuildNodesUI();
   renderMatrix();
   syncGraph();
 
-  const errors = validate(
-    state.nodes,
-    state.linkMatrix,
-    state.minimumCombinedWeight,
-    state.maximumCombinedWeight
-  );
-  if (errors.length > 0) showErrors(errors);
+  const issues = inputIssues(getEffectiveLinkMatrix(), getSolverOptions());
+  showValidationIssues(issues);
 
   resultsFieldset.hidden = true;
   resultsDiv.innerHTML = '';
   state.solutions = null;
   state.selectedSolution = null;
 
+  if (data.solution && Array.isArray(data.solution.groups)) {
+    const violations = showImportedSolution(data.solution);
+    if (violations.length > 0) {
+      showValidationIssues([...issues, ...violations]);
+    }
+  }
+
   saveToLocalStorage();
 }
 
+/** Scores a solution from a loaded file with evaluateSolution and shows it as the only result. */
+function showImportedSolution(solution) {
+  const groups = solution.groups.filter(Array.isArray);
+  const freeNodes = Array.isArray(solution.freeNodes) ? solution.freeNodes : [];
+  const { violations, ...sol } = evaluateSolution(getSolverNodes(), getEffectiveLinkMatrix(), groups, freeNodes, {
+    ...getSolverOptions(),
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+  });
+  state.solutions = [sol];
+  hideSchedule();
+  renderResults([sol], false, null);
+  return violations;
+}
+
 // ── Init ────────────────────────────────────────────────────────────────────
 
 if (btnToggleNodes && nodesFieldset) {
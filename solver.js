@@ -10,33 +10,558 @@
  *   totalWeight (solution)  – sum of combinedWeights across all groups
  *   minimumCombinedWeight   – lower bound on sum-of-nodeWeights per group
  *   maximumCombinedWeight   – upper bound on sum-of-nodeWeights per group
+ *   resources               – nodeWeight may also be a vector or a map of named resources
+ *                             (e.g. { seats: 2, highChairs: 1 }); primaryResource (default: the
+ *                             first) acts as the nodeWeight above, and resourceLimits
+ *                             ({ name: { min, max } }, or a vector) bound every resource per group;
+ *                             groupDetails then carry resourceSums
  *   allowFreeNodes          – when true, nodes may be left outside any group
+ *   linkAggregation         – how a→b and b→a combine into a pair's linkWeight: 'either' (default),
+ *                             'sum', 'min', 'max', 'average', 'product' or 'penalizeOneSided';
+ *                             the legacy symmetricLinks flag maps to 'either' (true) / 'sum' (false)
+ *   groupTemplates          – optional list of available groups ({ min, max, count })
+ *                             replacing the single global min/max pair
+ *   minGroups / maxGroups   – optional limits on the number of groups (groupCount sets both)
+ *   cannotLink              – optional [nodeId, nodeId] pairs that must never share a group
+ *   mustLink                – optional [nodeId, nodeId] pairs that must share a group; pairs
+ *                             chain transitively and merge with any fixed group they touch
+ *   groupSlots              – optional named groups ({ id, label, min, max }) offered ahead of
+ *                             the templates; bounds default to the global min/max
+ *   pinnedNodes             – optional { nodeId: slotId } map forcing nodes into a named group
+ *   algorithm               – 'greedy' (seeded greedy + local search) or 'annealing' (greedy,
+ *                             then simulated annealing bounded by timeLimitMs / maxIterations)
+ *   objective               – what to maximize: a built-in name ('totalWeight' (default),
+ *                             'maxMinGroupWeight', 'fewestGroups', 'balancedLinks', 'balancedSizes')
+ *                             or weights over them, e.g. { totalWeight: 1, balancedSizes: 0.5 };
+ *                             bonusPerGroup / balanceGroupWeightsFactor still add to it
+ *   seeds / baseSeed        – number of seeded greedy starts and the first seed (also seeds annealing)
+ *   localSearchIterations   – maximum improvement rounds of local search per greedy start
+ *   maxSolutions            – how many of the best solutions to keep (default 10)
+ *   exhaustiveThreshold     – node count up to which every grouping is enumerated
+ *                             (default 12 with free nodes, 16 without)
+ *   pruning                 – which kept solutions to drop: 'wasteful' (default; a node shares a
+ *                             group without linking to anyone in it), { minInGroupWeight } (a
+ *                             node's link weight to its group is below that) or 'off'; the
+ *                             result's `pruned` counts the dropped solutions
+ *   minSolutionDistance     – diversity mode: kept solutions differ pairwise in at least this many
+ *                             node pairs (pairs sharing a group in only one of the two)
+ *   distanceToBest          – (result) that pair distance between a solution and solutions[0]
+ *   previousSolution        – optional { groups, freeNodes } from an earlier run; adapted to the
+ *                             current nodes and polished by local search as an extra start
+ *   stabilityWeight         – score penalty per node moved away from its previousSolution group
+ *   movedNodes              – (result, with previousSolution) ids of the nodes that moved
+ *   exactNodeLimit /
+ *   exactTimeLimitMs        – budget for the branch-and-bound optimality proof. It runs up to 40
+ *                             units, but its bound is loose: within the default budget proofs
+ *                             usually finish only up to about 20–25 nodes, and larger runs end
+ *                             with the remaining gap
+ *   components              – (result) when the link graph splits into several connected
+ *                             components of at most 40 nodes, each is solved on its own (after the
+ *                             greedy starts, sharing their seeds and exactTimeLimitMs by size) and
+ *                             the sub-groups are packed into groups; lists { nodeIds, optimal,
+ *                             totalWeight } per component. With plain totalWeight and every
+ *                             component optimal, a packing that keeps their sub-groups proves the
+ *                             result optimal
+ *   onProgress              – optional callback receiving { phase, seedsDone, seedsTotal,
+ *                             componentsDone, componentsTotal, bestScore, solutions } as the search
+ *                             runs (throttled during annealing and B&B; after every component)
+ *   onSolution              – optional callback receiving each { type: 'solution', solution, rank,
+ *                             stats } as a solution enters the kept top maxSolutions
+ *   bestBound / gap         – (result) upper bound on the best score and its distance to solutions[0]
  */
 
 // ── Validation ──────────────────────────────────────────────────────────────
 
-export function validate(nodes, linkMatrix, minCombined, maxCombined) {
-  const errors = [];
+/**
+ * Checks the input before a solve. Returns a list of issues
+ * { code, severity, nodeIds, message }: `severity` is 'error' for input the solver
+ * cannot use and 'warning' for input it ignores (self-links, links to unknown nodes);
+ * `nodeIds` lists the nodes involved (empty for option-level issues). Codes:
+ *   noNodes, nodeWeight, duplicateNode, resource, selfLink, unknownLinkNode, groupTemplate,
+ *   bounds, nodeOverweight, groupCount, searchOption, objective, groupSlot, pinnedNode,
+ *   mustLink, cannotLink, fixedGroupUnderMin, warmStart
+ */
+export function validateIssues(rawNodes, linkMatrix, minCombined, maxCombined, options = {}) {
+  const { groupTemplates = [] } = options;
+  const issues = [];
 
-  if (!nodes || nodes.length === 0) {
-    errors.push('At least one node is required.');
+  if (!rawNodes || rawNodes.length === 0) {
+    issues.push(issue('noNodes', 'At least one node is required.'));
   }
+  const nodeIssues = [...validateNodes(rawNodes || []), ...validateResources(rawNodes || [], options)];
+  if (nodeIssues.length > 0) return [...issues, ...nodeIssues];
+  const nodes = normalizeNodes(rawNodes || [], options);
+  issues.push(...validateLinks(nodes, linkMatrix || {}));
+
+  if (groupTemplates.length > 0) {
+    issues.push(...validateGroupTemplates(groupTemplates));
+    const largestMax = Math.max(...groupTemplates.map((t) => t.max));
+    for (const n of nodes) {
+      if (n.nodeWeight > largestMax) {
+        issues.push(issue(
+          'nodeOverweight',
+          `Node "${n.id}" has nodeWeight ${n.nodeWeight} which exceeds the largest group template maximum ${largestMax}.`,
+          [n.id]
+        ));
+      }
+    }
+  } else {
+    if (minCombined > maxCombined) {
+      issues.push(issue(
+        'bounds',
+        `minimumCombinedWeight (${minCombined}) must be ≤ maximumCombinedWeight (${maxCombined}).`
+      ));
+    }
 
-  if (minCombined > maxCombined) {
-    errors.push(
-      `minimumCombinedWeight (${minCombined}) must be ≤ maximumCombinedWeight (${maxCombined}).`
-    );
+    for (const n of nodes) {
+      if (n.nodeWeight > maxCombined) {
+        issues.push(issue(
+          'nodeOverweight',
+          `Node "${n.id}" has nodeWeight ${n.nodeWeight} which exceeds maximumCombinedWeight ${maxCombined}.`,
+          [n.id]
+        ));
+      }
+    }
+  }
+
+  issues.push(...validateGroupCount(nodes, minCombined, maxCombined, options));
+  issues.push(...validateSearchOptions(options));
+  issues.push(...validateGroupSlots(nodes, minCombined, maxCombined, options));
+  issues.push(...validateMustLink(nodes, maxCombined, options));
+  issues.push(...validateCannotLink(nodes, options));
+  if (!issues.some((i) => i.severity === 'error')) {
+    issues.push(...validateFixedGroups(nodes, minCombined, maxCombined, options));
   }
+  issues.push(...validateWarmStart(options));
 
+  return issues;
+}
+
+/** validateIssues as plain messages of its errors (warnings are left out), as computeGroups reports them. */
+export function validate(rawNodes, linkMatrix, minCombined, maxCombined, options = {}) {
+  return issueMessages(validateIssues(rawNodes, linkMatrix, minCombined, maxCombined, options));
+}
+
+/** Messages of the error-severity issues, in order. */
+export function issueMessages(issues) {
+  return issues.filter((i) => i.severity === 'error').map((i) => i.message);
+}
+
+function issue(code, message, nodeIds = [], severity = 'error') {
+  return { code, severity, nodeIds, message };
+}
+
+function validateNodes(nodes) {
+  const issues = [];
+  const seen = new Set();
   for (const n of nodes) {
-    if (n.nodeWeight > maxCombined) {
-      errors.push(
-        `Node "${n.id}" has nodeWeight ${n.nodeWeight} which exceeds maximumCombinedWeight ${maxCombined}.`
-      );
+    if (seen.has(n.id)) {
+      issues.push(issue('duplicateNode', `Node id "${n.id}" is used more than once.`, [n.id]));
+    }
+    seen.add(n.id);
+    if (typeof n.nodeWeight === 'object' && n.nodeWeight !== null) continue;
+    if (!(Number.isFinite(n.nodeWeight) && n.nodeWeight >= 0)) {
+      issues.push(issue('nodeWeight', `Node "${n.id}" has nodeWeight ${n.nodeWeight}; it must be a non-negative number.`, [n.id]));
+    }
+  }
+  return issues;
+}
+
+/** Link entries the solver skips: self-links and keys naming unknown nodes. */
+function validateLinks(nodes, linkMatrix) {
+  const issues = [];
+  const idSet = new Set(nodes.map((n) => n.id));
+  for (const [key, weight] of Object.entries(linkMatrix)) {
+    if (!weight) continue;
+    const [a, b] = key.split('|');
+    if (a === b) {
+      issues.push(issue('selfLink', `Node "${a}" has a link to itself (${weight}); it is ignored.`, [a], 'warning'));
+      continue;
+    }
+    const unknown = [a, b].filter((id) => !idSet.has(id));
+    if (unknown.length > 0) {
+      issues.push(issue(
+        'unknownLinkNode',
+        `Link "${a}" → "${b}" refers to unknown node(s) ${unknown.map((id) => `"${id}"`).join(', ')}; it is ignored.`,
+        [a, b].filter((id) => idSet.has(id)),
+        'warning'
+      ));
+    }
+  }
+  return issues;
+}
+
+/** Fixed groups and must-link sets that no company can bring into [min, max]. */
+function validateFixedGroups(nodes, minCombined, maxCombined, options) {
+  const { allowFreeNodes = false, groupTemplates = [], groupSlots = [] } = options;
+  if (allowFreeNodes || groupTemplates.length > 0 || groupSlots.length > 0) return [];
+  const diagnosis = diagnosisContext(nodes, options);
+  const fitting = diagnosis.units.filter((u) => u.weight <= maxCombined);
+  return fitting
+    .filter((u) => u.clustered && u.weight < minCombined)
+    .filter((u) => !canReachMinimum(u, fitting, diagnosis.conflicts, minCombined, maxCombined))
+    .map((u) => issue(
+      'fixedGroupUnderMin',
+      `Nodes ${diagnosis.names(u.ids)} must stay together (weight ${u.weight}) but can never reach minimumCombinedWeight ${minCombined}: joining any other nodes either stays below ${minCombined} or passes ${maxCombined}.`,
+      u.ids
+    ));
+}
+
+function validateGroupTemplates(groupTemplates) {
+  const issues = [];
+  groupTemplates.forEach((t, i) => {
+    const name = t.label || t.id || `#${i + 1}`;
+    const min = t.min ?? 0;
+    if (!Number.isFinite(t.max) || !Number.isFinite(min)) {
+      issues.push(issue('groupTemplate', `Group template "${name}" must have numeric min and max.`));
+    } else if (min > t.max) {
+      issues.push(issue('groupTemplate', `Group template "${name}" has min (${min}) greater than max (${t.max}).`));
+    }
+    if (t.count != null && !(Number.isInteger(t.count) && t.count >= 0)) {
+      issues.push(issue('groupTemplate', `Group template "${name}" count must be a non-negative integer.`));
+    }
+  });
+  return issues;
+}
+
+function resolveGroupCount({ minGroups, maxGroups, groupCount } = {}) {
+  return {
+    minGroups: minGroups ?? groupCount ?? 0,
+    maxGroups: maxGroups ?? groupCount ?? Infinity,
+  };
+}
+
+/** Sum of `key` over the `k` most extreme groups the templates can provide. */
+function sumExtremeBounds(templates, key, k, largest) {
+  const sorted = [...templates].sort((a, b) => (largest ? b[key] - a[key] : a[key] - b[key]));
+  let sum = 0;
+  let left = k;
+  for (const t of sorted) {
+    const take = Math.min(left, t.count ?? Infinity);
+    sum += take * t[key];
+    left -= take;
+    if (left === 0) break;
+  }
+  return sum;
+}
+
+function validateGroupCount(nodes, minCombined, maxCombined, options) {
+  const { groupTemplates = [], allowFreeNodes = false } = options;
+  const { minGroups, maxGroups } = resolveGroupCount(options);
+  const issues = [];
+
+  if (!(Number.isInteger(minGroups) && minGroups >= 0)) {
+    issues.push(issue('groupCount', `minGroups (${minGroups}) must be a non-negative integer.`));
+  }
+  if (maxGroups !== Infinity && !(Number.isInteger(maxGroups) && maxGroups >= 0)) {
+    issues.push(issue('groupCount', `maxGroups (${maxGroups}) must be a non-negative integer.`));
+  }
+  if (issues.length > 0) return issues;
+  if (minGroups > maxGroups) {
+    issues.push(issue('groupCount', `minGroups (${minGroups}) must be ≤ maxGroups (${maxGroups}).`));
+    return issues;
+  }
+
+  const templates = groupTemplates.length > 0
+    ? groupTemplates.map((t) => ({ min: t.min ?? 0, max: t.max, count: t.count ?? Infinity }))
+    : [{ min: minCombined, max: maxCombined, count: Infinity }];
+  const available = templates.reduce((s, t) => s + t.count, 0);
+  const total = nodes.reduce((s, n) => s + n.nodeWeight, 0);
+
+  if (minGroups > available) {
+    issues.push(issue('groupCount', `minGroups (${minGroups}) exceeds the ${available} groups the templates provide.`));
+  } else if (minGroups > nodes.length) {
+    issues.push(issue('groupCount', `minGroups (${minGroups}) exceeds the number of nodes (${nodes.length}).`));
+  } else if (minGroups > 0) {
+    const needed = sumExtremeBounds(templates, 'min', minGroups, false);
+    if (total < needed) {
+      issues.push(issue(
+        'groupCount',
+        `Total nodeWeight ${total} cannot fill ${minGroups} group(s); the bounds need at least ${needed}.`
+      ));
+    }
+  }
+
+  if (maxGroups !== Infinity && !allowFreeNodes) {
+    const capacity = sumExtremeBounds(templates, 'max', Math.min(maxGroups, available), true);
+    if (total > capacity) {
+      issues.push(issue(
+        'groupCount',
+        `Total nodeWeight ${total} cannot fit into ${maxGroups} group(s); the bounds hold at most ${capacity}.`
+      ));
+    }
+  }
+
+  return issues;
+}
+
+const ALGORITHMS = ['greedy', 'annealing'];
+
+function validateSearchOptions(options) {
+  const { algorithm = 'greedy', timeLimitMs, maxIterations, baseSeed } = options;
+  const issues = [];
+  if (!ALGORITHMS.includes(algorithm)) {
+    issues.push(issue('searchOption', `algorithm must be one of ${ALGORITHMS.map((a) => `"${a}"`).join(', ')} (got "${algorithm}").`));
+  }
+  if (timeLimitMs != null && !(Number.isFinite(timeLimitMs) && timeLimitMs > 0)) {
+    issues.push(issue('searchOption', `timeLimitMs (${timeLimitMs}) must be a positive number.`));
+  }
+  if (maxIterations != null && !(Number.isInteger(maxIterations) && maxIterations > 0)) {
+    issues.push(issue('searchOption', `maxIterations (${maxIterations}) must be a positive integer.`));
+  }
+  for (const name of ['seeds', 'maxSolutions']) {
+    const value = options[name];
+    if (value != null && !(Number.isInteger(value) && value > 0)) {
+      issues.push(issue('searchOption', `${name} (${value}) must be a positive integer.`));
+    }
+  }
+  for (const name of ['localSearchIterations', 'exhaustiveThreshold', 'minSolutionDistance']) {
+    const value = options[name];
+    if (value != null && !(Number.isInteger(value) && value >= 0)) {
+      issues.push(issue('searchOption', `${name} (${value}) must be a non-negative integer.`));
+    }
+  }
+  if (baseSeed != null && !Number.isInteger(baseSeed)) {
+    issues.push(issue('searchOption', `baseSeed (${baseSeed}) must be an integer.`));
+  }
+  const { pruning = 'wasteful' } = options;
+  if (!(pruning === 'off' || pruning === 'wasteful' || Number.isFinite(pruning?.minInGroupWeight))) {
+    issues.push(issue('searchOption', 'pruning must be "off", "wasteful" or { minInGroupWeight: number }.'));
+  }
+  const linkAggregation = resolveLinkAggregation(options);
+  if (!Object.hasOwn(LINK_AGGREGATIONS, linkAggregation)) {
+    const names = Object.keys(LINK_AGGREGATIONS).map((name) => `"${name}"`).join(', ');
+    issues.push(issue('searchOption', `linkAggregation must be one of ${names} (got "${linkAggregation}").`));
+  }
+  issues.push(...validateObjective(options));
+  return issues;
+}
+
+function validateResources(nodes, options) {
+  const { primaryResource } = options;
+  const issues = [];
+  for (const n of nodes) {
+    if (typeof n.nodeWeight !== 'object' || n.nodeWeight === null) continue;
+    const resources = resourceMap(n.nodeWeight);
+    for (const [name, value] of Object.entries(resources)) {
+      if (!(Number.isFinite(value) && value >= 0)) {
+        issues.push(issue('resource', `Node "${n.id}" has ${name} ${value}; resource amounts must be non-negative numbers.`, [n.id]));
+      }
+    }
+    const primary = primaryResource ?? Object.keys(resources)[0];
+    if (primary == null || !(String(primary) in resources)) {
+      issues.push(issue('resource', `Node "${n.id}" has no "${primary}" resource to use as its nodeWeight.`, [n.id]));
+    }
+  }
+
+  if (issues.length > 0) return issues;
+
+  const normalized = normalizeNodes(nodes, options);
+  for (const { name, min, max } of resolveResourceLimits(options)) {
+    if (typeof min !== 'number' || typeof max !== 'number' || Number.isNaN(min) || Number.isNaN(max)) {
+      issues.push(issue('resource', `resourceLimits for "${name}" must use numeric min/max.`));
+      continue;
+    }
+    if (min > max) {
+      issues.push(issue('resource', `resourceLimits for "${name}": min (${min}) must be ≤ max (${max}).`));
+    }
+    for (const n of normalized) {
+      const amount = n.resources?.[name] ?? 0;
+      if (amount > max) {
+        issues.push(issue('resource', `Node "${n.id}" needs ${amount} ${name}, but a group holds at most ${max}.`, [n.id]));
+      }
+    }
+  }
+  return issues;
+}
+
+function validateObjective({ objective }) {
+  if (objective == null) return [];
+  const names = Object.keys(OBJECTIVES);
+  const known = `one of ${names.map((n) => `"${n}"`).join(', ')}`;
+  if (typeof objective === 'string') {
+    return names.includes(objective) ? [] : [issue('objective', `objective must be ${known} (got "${objective}").`)];
+  }
+  if (typeof objective !== 'object' || Array.isArray(objective) || Object.keys(objective).length === 0) {
+    return [issue('objective', 'objective must be a built-in name or an object of { name: weight }.')];
+  }
+  const issues = [];
+  for (const [name, weight] of Object.entries(objective)) {
+    if (!names.includes(name)) issues.push(issue('objective', `objective "${name}" is unknown; use ${known}.`));
+    else if (!Number.isFinite(weight)) issues.push(issue('objective', `objective weight for "${name}" (${weight}) must be a number.`));
+  }
+  return issues;
+}
+
+function validateGroupSlots(nodes, minCombined, maxCombined, options) {
+  const { groupSlots = [], pinnedNodes = {}, mustLink = [], fixedGroups = [] } = options;
+  const issues = [];
+  const slotsById = new Map();
+  groupSlots.forEach((slot, i) => {
+    const name = slot.label || slot.id || `#${i + 1}`;
+    if (slot.id == null || slot.id === '') {
+      issues.push(issue('groupSlot', `Group slot "${name}" must have an id.`));
+    } else if (slotsById.has(slot.id)) {
+      issues.push(issue('groupSlot', `Group slot id "${slot.id}" is used more than once.`));
+    } else {
+      slotsById.set(slot.id, slot);
+    }
+    const min = slot.min ?? minCombined;
+    const max = slot.max ?? maxCombined;
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      issues.push(issue('groupSlot', `Group slot "${name}" must have numeric bounds.`));
+    } else if (min > max) {
+      issues.push(issue('groupSlot', `Group slot "${name}" has min (${min}) greater than max (${max}).`));
+    }
+  });
+
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const idSet = new Set(Object.keys(nodesById));
+  for (const [id, slotId] of Object.entries(pinnedNodes)) {
+    if (idSet.has(id) && !slotsById.has(slotId)) {
+      issues.push(issue('pinnedNode', `Node "${id}" is pinned to unknown group slot "${slotId}".`, [id]));
     }
   }
+  if (issues.length > 0) return issues;
+
+  for (const cluster of buildMustLinkClusters(mustLink, fixedGroups, idSet, pinnedNodes)) {
+    const pinned = [...new Set(cluster.map((id) => pinnedNodes[id]).filter((slotId) => slotId != null))];
+    if (pinned.length > 1) {
+      issues.push(issue(
+        'pinnedNode',
+        `Nodes ${cluster.map((id) => `"${id}"`).join(', ')} must be together but are pinned to different groups (${pinned.map((slotId) => `"${slotsById.get(slotId).label || slotId}"`).join(', ')}).`,
+        cluster
+      ));
+    } else if (pinned.length === 1) {
+      const slot = slotsById.get(pinned[0]);
+      const max = slot.max ?? maxCombined;
+      const sum = groupNodeWeightSum(cluster, nodesById);
+      if (sum > max) {
+        issues.push(issue(
+          'pinnedNode',
+          `Nodes pinned to "${slot.label || slot.id}" weigh ${sum}, more than its maximum (${max}).`,
+          cluster
+        ));
+      }
+    }
+  }
+  return issues;
+}
 
-  return errors;
+function validateMustLink(nodes, maxCombined, options) {
+  const { mustLink = [], fixedGroups = [], groupTemplates = [], pinnedNodes = {} } = options;
+  const issues = [];
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const idSet = new Set(Object.keys(nodesById));
+
+  for (const pair of mustLink) {
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      issues.push(issue('mustLink', 'mustLink entries must be [nodeId, nodeId] pairs.'));
+    }
+  }
+  if (issues.length > 0) return issues;
+
+  const largestMax = groupTemplates.length > 0 ? Math.max(...groupTemplates.map((t) => t.max)) : maxCombined;
+  const fixedIds = new Set(fixedGroups.flat());
+  const linkedIds = new Set(mustLink.flat());
+  for (const cluster of buildMustLinkClusters(mustLink, fixedGroups, idSet, pinnedNodes)) {
+    if (!cluster.some((id) => linkedIds.has(id))) continue;
+    const sum = groupNodeWeightSum(cluster, nodesById);
+    if (sum > largestMax) {
+      const withFixed = cluster.some((id) => fixedIds.has(id)) ? ' (including fixed group members)' : '';
+      issues.push(issue(
+        'mustLink',
+        `Nodes ${cluster.map((id) => `"${id}"`).join(', ')} must be together${withFixed} but weigh ${sum}, more than the largest group allows (${largestMax}).`,
+        cluster
+      ));
+    }
+  }
+  return issues;
+}
+
+function validateCannotLink(nodes, options) {
+  const { cannotLink = [], mustLink = [], fixedGroups = [], pinnedNodes = {}, groupTemplates = [], allowFreeNodes = false } = options;
+  const issues = [];
+  const idSet = new Set(nodes.map((n) => n.id));
+  const conflicts = new Map();
+
+  for (const pair of cannotLink) {
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      issues.push(issue('cannotLink', 'cannotLink entries must be [nodeId, nodeId] pairs.'));
+      continue;
+    }
+    const [a, b] = pair;
+    if (a === b) {
+      issues.push(issue('cannotLink', `Node "${a}" cannot be kept apart from itself.`, [a]));
+      continue;
+    }
+    if (!idSet.has(a) || !idSet.has(b)) continue;
+    if (!conflicts.has(a)) conflicts.set(a, new Set());
+    if (!conflicts.has(b)) conflicts.set(b, new Set());
+    conflicts.get(a).add(b);
+    conflicts.get(b).add(a);
+  }
+
+  for (const g of buildMustLinkClusters(mustLink, fixedGroups, idSet, pinnedNodes)) {
+    for (let i = 0; i < g.length; i++) {
+      for (let j = i + 1; j < g.length; j++) {
+        if (conflicts.get(g[i])?.has(g[j])) {
+          issues.push(issue(
+            'cannotLink',
+            `"${g[i]}" and "${g[j]}" are kept together by a fixed group, must-link pair or pinned group but must never be together.`,
+            [g[i], g[j]]
+          ));
+        }
+      }
+    }
+  }
+
+  const { maxGroups } = resolveGroupCount(options);
+  const templateCount = groupTemplates.length > 0 ? groupTemplates.reduce((s, t) => s + (t.count ?? Infinity), 0) : Infinity;
+  const limit = Math.min(maxGroups, templateCount);
+  if (!allowFreeNodes && limit !== Infinity) {
+    const clique = largestConflictClique(conflicts);
+    if (clique.length > limit) {
+      issues.push(issue(
+        'cannotLink',
+        `Nodes ${clique.map((id) => `"${id}"`).join(', ')} must all be in different groups, but at most ${limit} group(s) are allowed.`,
+        clique
+      ));
+    }
+  }
+
+  return issues;
+}
+
+function validateWarmStart({ previousSolution = null, stabilityWeight }) {
+  const issues = [];
+  if (previousSolution != null) {
+    const { groups, freeNodes = [] } = previousSolution;
+    if (!Array.isArray(groups) || !groups.every(Array.isArray) || !Array.isArray(freeNodes)) {
+      issues.push(issue('warmStart', 'previousSolution must have a groups array of node id arrays (and optionally freeNodes).'));
+    }
+  }
+  if (stabilityWeight != null && !(Number.isFinite(stabilityWeight) && stabilityWeight >= 0)) {
+    issues.push(issue('warmStart', `stabilityWeight (${stabilityWeight}) must be a non-negative number.`));
+  }
+  return issues;
+}
+
+/** Greedy lower bound on the largest set of mutually never-together nodes. */
+function largestConflictClique(conflicts) {
+  const byDegree = [...conflicts.keys()].sort((a, b) => conflicts.get(b).size - conflicts.get(a).size);
+  let best = [];
+  for (const start of byDegree) {
+    if (conflicts.get(start).size < best.length) break;
+    const clique = [start];
+    for (const id of byDegree) {
+      if (id !== start && clique.every((c) => conflicts.get(c).has(id))) clique.push(id);
+    }
+    if (clique.length > best.length) best = clique;
+  }
+  return best;
 }
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
@@ -45,43 +570,210 @@ function groupNodeWeightSum(group, nodesById) {
   return group.reduce((s, id) => s + nodesById[id].nodeWeight, 0);
 }
 
-function getPairLinkWeight(linkMatrix, a, b, symmetricLinks) {
+/** A vector nodeWeight becomes a map keyed "0", "1", …; maps are copied. */
+function resourceMap(nodeWeight) {
+  return Array.isArray(nodeWeight) ? Object.fromEntries(nodeWeight.map((v, i) => [String(i), v])) : { ...nodeWeight };
+}
+
+/**
+ * Nodes whose nodeWeight is a vector or a map of named resources get a numeric
+ * nodeWeight (their primaryResource, by default the first resource) for the group
+ * bounds, templates and slots, plus the full `resources` map for resourceLimits.
+ */
+function normalizeNodes(nodes, { primaryResource } = {}) {
+  return nodes.map((n) => {
+    if (typeof n.nodeWeight !== 'object' || n.nodeWeight === null) return n;
+    const resources = resourceMap(n.nodeWeight);
+    const primary = primaryResource != null ? String(primaryResource) : Object.keys(resources)[0];
+    return { ...n, nodeWeight: resources[primary] ?? 0, resources };
+  });
+}
+
+/** resourceLimits as [{ name, min, max }]; a vector form is keyed by index like the node vectors. */
+function resolveResourceLimits({ resourceLimits = {} }) {
+  return Object.entries(Array.isArray(resourceLimits) ? resourceMap(resourceLimits) : resourceLimits)
+    .map(([name, limit]) => ({ name, min: limit?.min ?? 0, max: limit?.max ?? Infinity }));
+}
+
+const resourceNamesCache = new WeakMap();
+
+/** Every resource name carried by some node (cached per nodesById). */
+function resourceNames(nodesById) {
+  if (!resourceNamesCache.has(nodesById)) {
+    const names = new Set();
+    for (const n of Object.values(nodesById)) {
+      for (const name of Object.keys(n.resources || {})) names.add(name);
+    }
+    resourceNamesCache.set(nodesById, [...names]);
+  }
+  return resourceNamesCache.get(nodesById);
+}
+
+/** Sum of every resource over `group`; nodes without a resource count 0. */
+function resourceTotals(group, nodesById) {
+  const totals = Object.fromEntries(resourceNames(nodesById).map((name) => [name, 0]));
+  for (const id of group) {
+    for (const [name, value] of Object.entries(nodesById[id].resources || {})) totals[name] += value;
+  }
+  return totals;
+}
+
+/**
+ * How the two directions of a link (a→b and b→a) combine into the pair's weight:
+ *   either           – whichever direction is set (a→b first); the default
+ *   sum              – both directions added
+ *   min / max        – the weaker / stronger direction (min counts mutual links only)
+ *   average          – mean of both directions
+ *   product          – both directions multiplied (0 unless mutual)
+ *   penalizeOneSided – the mean minus the difference, so one-sided links score below zero
+ */
+const LINK_AGGREGATIONS = {
+  either: (ab, ba) => ab || ba,
+  sum: (ab, ba) => ab + ba,
+  min: (ab, ba) => Math.min(ab, ba),
+  max: (ab, ba) => Math.max(ab, ba),
+  average: (ab, ba) => (ab + ba) / 2,
+  product: (ab, ba) => ab * ba,
+  penalizeOneSided: (ab, ba) => (ab + ba) / 2 - Math.abs(ab - ba),
+};
+
+/** linkAggregation, falling back to the legacy symmetricLinks flag (true → "either", false → "sum"). */
+function resolveLinkAggregation({ linkAggregation, symmetricLinks = true }) {
+  return linkAggregation ?? (symmetricLinks ? 'either' : 'sum');
+}
+
+/** Pair weight from the two directed weights `ab` and `ba` under `linkAggregation` (a mode name). */
+export function aggregateLinkWeight(ab, ba, linkAggregation = 'either') {
+  return LINK_AGGREGATIONS[linkAggregation](ab, ba);
+}
+
+function getPairLinkWeight(linkMatrix, a, b, linkAggregation) {
   const ab = linkMatrix[`${a}|${b}`] || 0;
   const ba = linkMatrix[`${b}|${a}`] || 0;
-  if (symmetricLinks) return ab || ba;
-  return ab + ba;
+  return LINK_AGGREGATIONS[linkAggregation](ab, ba);
 }
 
-function groupCombinedWeight(group, linkMatrix, symmetricLinks) {
+/**
+ * Indexed view of linkMatrix built once per solve: every node gets an integer
+ * index and a neighbor list of its non-zero pair weights under linkAggregation,
+ * so lookups skip building "a|b" keys and link scans skip unlinked nodes. The
+ * public input format stays the string-keyed linkMatrix. A pair reads a→b before
+ * b→a with `a` the node listed first in `nodeIds`.
+ */
+function buildLinks(nodeIds, linkMatrix, linkAggregation) {
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const rows = nodeIds.map(() => new Map());
+  for (const key of Object.keys(linkMatrix)) {
+    const sep = key.indexOf('|');
+    const i = index.get(key.slice(0, sep));
+    const j = index.get(key.slice(sep + 1));
+    if (i === undefined || j === undefined || i === j) continue;
+    const lo = Math.min(i, j);
+    const hi = Math.max(i, j);
+    if (rows[lo].has(hi)) continue;
+    const w = getPairLinkWeight(linkMatrix, nodeIds[lo], nodeIds[hi], linkAggregation);
+    if (w === 0) continue;
+    rows[lo].set(hi, w);
+    rows[hi].set(lo, w);
+  }
+  const neighbors = rows.map((row) => [...row.entries()].sort((x, y) => x[0] - y[0]));
+
+  return {
+    /** Pair weight of `a` and `b`; 0 when unlinked or unknown. */
+    weight(a, b) {
+      const row = rows[index.get(a)];
+      return row ? row.get(index.get(b)) ?? 0 : 0;
+    },
+    /** Sum of the pair weights between `id` and the other members of `group`. */
+    linkSum(id, group) {
+      const row = rows[index.get(id)];
+      if (!row || row.size === 0) return 0;
+      let w = 0;
+      for (const other of group) w += row.get(index.get(other)) ?? 0;
+      return w;
+    },
+    hasAnyLink: (id) => neighbors[index.get(id)]?.length > 0,
+    /** Calls `fn(otherId, weight)` for every node linked to `id`. */
+    forEachNeighbor(id, fn) {
+      for (const [j, w] of neighbors[index.get(id)] || []) fn(nodeIds[j], w);
+    },
+    /** Every linked pair among `ids` as { a, b, w }, in the order of a nested loop over `ids`. */
+    edgesAmong(ids) {
+      const position = new Map(ids.map((id, i) => [id, i]));
+      const edges = [];
+      ids.forEach((a, i) => {
+        const pairs = [];
+        for (const [j, w] of neighbors[index.get(a)] || []) {
+          const k = position.get(nodeIds[j]);
+          if (k > i) pairs.push([k, w]);
+        }
+        pairs.sort((x, y) => x[0] - y[0]);
+        for (const [k, w] of pairs) edges.push({ a, b: ids[k], w });
+      });
+      return edges;
+    },
+    /** Mean absolute non-zero pair weight (1 when there are none). */
+    meanAbsWeight() {
+      let sum = 0;
+      let count = 0;
+      for (const row of neighbors) {
+        for (const [, w] of row) {
+          sum += Math.abs(w);
+          count++;
+        }
+      }
+      return count > 0 ? sum / count : 1;
+    },
+  };
+}
+
+function groupCombinedWeight(group, links) {
   let w = 0;
   for (let i = 0; i < group.length; i++) {
-    for (let j = i + 1; j < group.length; j++) {
-      w += getPairLinkWeight(linkMatrix, group[i], group[j], symmetricLinks);
-    }
+    for (let j = i + 1; j < group.length; j++) w += links.weight(group[i], group[j]);
   }
   return w;
 }
 
-function getLinkWeight(linkMatrix, a, b, symmetricLinks) {
-  return getPairLinkWeight(linkMatrix, a, b, symmetricLinks);
-}
-
-function nodeHasAnyLink(nodeId, allIds, linkMatrix, symmetricLinks) {
-  for (const other of allIds) {
-    if (other !== nodeId && getLinkWeight(linkMatrix, nodeId, other, symmetricLinks) !== 0) return true;
+/**
+ * Built-in objectives as weights over the score terms of objectiveScore. The `objective`
+ * option names one of them or weights several, e.g. { totalWeight: 1, fewestGroups: 5 }.
+ */
+const OBJECTIVES = {
+  totalWeight: { totalWeight: 1 },
+  maxMinGroupWeight: { minGroupWeight: 1 },
+  fewestGroups: { groupCount: -1 },
+  balancedLinks: { linkBalance: 1 },
+  balancedSizes: { sizeBalance: 1 },
+};
+
+/** Term weights for `options`; bonusPerGroup and balanceGroupWeightsFactor add to groupCount and linkBalance. */
+function resolveObjective({ objective = 'totalWeight', bonusPerGroup = 0, balanceGroupWeightsFactor = 0 }) {
+  const weights = { totalWeight: 0, minGroupWeight: 0, groupCount: bonusPerGroup, linkBalance: balanceGroupWeightsFactor, sizeBalance: 0 };
+  const named = typeof objective === 'string' ? { [objective]: 1 } : objective;
+  for (const [name, weight] of Object.entries(named)) {
+    for (const [term, termWeight] of Object.entries(OBJECTIVES[name])) weights[term] += weight * termWeight;
   }
-  return false;
+  return weights;
 }
 
-function solutionTotalWeight(groups, linkMatrix, symmetricLinks) {
-  return groups.reduce((s, g) => s + groupCombinedWeight(g, linkMatrix, symmetricLinks), 0);
+/** Score of a partition from its per-group combinedWeights and nodeWeight sums. */
+function objectiveScore(weights, combinedWeights, nodeWeightSums) {
+  let score = weights.totalWeight * combinedWeights.reduce((s, w) => s + w, 0) + weights.groupCount * combinedWeights.length;
+  if (weights.minGroupWeight) score += weights.minGroupWeight * (combinedWeights.length > 0 ? Math.min(...combinedWeights) : 0);
+  if (weights.linkBalance) score -= weights.linkBalance * variance(combinedWeights);
+  if (weights.sizeBalance) score -= weights.sizeBalance * variance(nodeWeightSums);
+  return score;
 }
 
-function buildGroupDetails(groups, linkMatrix, nodesById, symmetricLinks) {
-  return groups.map((g) => ({
+/** `slotInfo`, when given, holds extra fields (template index or slot label) per group. */
+function buildGroupDetails(groups, links, nodesById, slotInfo = null) {
+  return groups.map((g, gi) => ({
     nodeIds: [...g],
     nodeWeightSum: groupNodeWeightSum(g, nodesById),
-    combinedWeight: groupCombinedWeight(g, linkMatrix, symmetricLinks),
+    combinedWeight: groupCombinedWeight(g, links),
+    ...(resourceNames(nodesById).length > 0 ? { resourceSums: resourceTotals(g, nodesById) } : {}),
+    ...(slotInfo ? slotInfo[gi] : {}),
   }));
 }
 
@@ -94,6 +786,70 @@ function solutionKey(groups, freeNodes = []) {
   return freePart ? `${groupPart}||free:${freePart}` : groupPart;
 }
 
+/** Number of node pairs that share a group in exactly one of the two solutions. */
+function partitionDistance(a, b) {
+  const groupOf = new Map();
+  b.groups.forEach((g, gi) => {
+    for (const id of g) groupOf.set(id, gi);
+  });
+  const pairs = (n) => (n * (n - 1)) / 2;
+  let together = 0;
+  let shared = 0;
+  for (const g of a.groups) {
+    together += pairs(g.length);
+    const counts = new Map();
+    for (const id of g) {
+      const gi = groupOf.get(id);
+      if (gi !== undefined) counts.set(gi, (counts.get(gi) || 0) + 1);
+    }
+    for (const count of counts.values()) shared += pairs(count);
+  }
+  for (const g of b.groups) together += pairs(g.length);
+  return together - 2 * shared;
+}
+
+/**
+ * Nodes whose group changed since `previousGroups`. Current groups are matched one-to-one
+ * to previous groups by largest overlap; a node has moved unless it sits in the group
+ * matched to its previous one. Nodes that were not in any previous group never count.
+ */
+function movedNodes(previousGroups, groups) {
+  const previousOf = new Map();
+  previousGroups.forEach((g, pi) => {
+    for (const id of g) previousOf.set(id, pi);
+  });
+  const overlaps = [];
+  groups.forEach((g, gi) => {
+    const counts = new Map();
+    for (const id of g) {
+      const pi = previousOf.get(id);
+      if (pi !== undefined) counts.set(pi, (counts.get(pi) || 0) + 1);
+    }
+    for (const [pi, count] of counts) overlaps.push({ gi, pi, count });
+  });
+  overlaps.sort((a, b) => b.count - a.count || a.gi - b.gi || a.pi - b.pi);
+  const matched = new Map();
+  const usedPrevious = new Set();
+  for (const { gi, pi } of overlaps) {
+    if (matched.has(gi) || usedPrevious.has(pi)) continue;
+    matched.set(gi, pi);
+    usedPrevious.add(pi);
+  }
+
+  const moved = [];
+  const placed = new Set();
+  groups.forEach((g, gi) => {
+    for (const id of g) {
+      placed.add(id);
+      if (previousOf.has(id) && previousOf.get(id) !== matched.get(gi)) moved.push(id);
+    }
+  });
+  for (const id of previousOf.keys()) {
+    if (!placed.has(id)) moved.push(id);
+  }
+  return moved;
+}
+
 function solutionHasDuplicateNodes(groups, freeNodes, totalNodeCount) {
   const allIds = groups.flat().concat(freeNodes);
   if (allIds.length !== totalNodeCount) return true;
@@ -106,138 +862,1519 @@ function variance(values) {
   return values.reduce((s, x) => s + (x - mean) ** 2, 0) / values.length;
 }
 
+// ── Group constraints ───────────────────────────────────────────────────────
+
+/**
+ * Capacity and membership rules shared by every search routine. Without
+ * groupTemplates capacity is a single unlimited template spanning
+ * [minCombined, maxCombined], so groups are checked against the global bounds
+ * exactly as before. cannotLink pairs are never allowed in the same group.
+ * Named groupSlots come first in `templates` as single-use entries, and a
+ * group holding pinned nodes may only be matched to their slot.
+ *
+ * While groups are being built each one holds a template "slot" (an index into
+ * `templates`); the `slots` arrays passed in are parallel to the groups, and
+ * `release` lists group positions whose slots should be treated as returned.
+ */
+function createConstraints(nodesById, minCombined, maxCombined, options) {
+  const { groupTemplates = [], cannotLink = [], groupSlots = [], pinnedNodes = {} } = options;
+  const { minGroups, maxGroups } = resolveGroupCount(options);
+  const conflicts = buildConflictMap(cannotLink, nodesById);
+  const hasTemplates = groupTemplates.length > 0 || groupSlots.length > 0;
+  const templates = [
+    ...groupSlots.map((slot) => ({ min: slot.min ?? minCombined, max: slot.max ?? maxCombined, count: 1 })),
+    ...(groupTemplates.length > 0
+      ? groupTemplates.map((t) => ({ min: t.min ?? 0, max: t.max, count: t.count ?? Infinity }))
+      : [{ min: minCombined, max: maxCombined, count: Infinity }]),
+  ];
+  const slotIndex = new Map(groupSlots.map((slot, i) => [slot.id, i]));
+  const pins = new Map();
+  for (const [id, slotId] of Object.entries(pinnedNodes)) {
+    if (nodesById[id] && slotIndex.has(slotId)) pins.set(id, slotIndex.get(slotId));
+  }
+  const resourceLimits = resolveResourceLimits(options);
+  const maxSize = Math.max(...templates.map((t) => t.max));
+  const minSize = Math.min(...templates.map((t) => t.min));
+  const maxGroupCount = Math.min(maxGroups, templates.reduce((s, t) => s + t.count, 0));
+  const minGroupCount = minGroups;
+
+  function usage(slots, release) {
+    const used = templates.map(() => 0);
+    slots.forEach((t, i) => {
+      if (!release.includes(i)) used[t]++;
+    });
+    return used;
+  }
+
+  /** Available template with the largest max that can hold `sum`, or -1. */
+  function openSlot(slots, sum, release = []) {
+    if (slots.length - release.length >= maxGroupCount) return -1;
+    const used = usage(slots, release);
+    let best = -1;
+    templates.forEach((t, i) => {
+      if (used[i] >= t.count || t.max < sum) return;
+      if (best === -1 || t.max > templates[best].max) best = i;
+    });
+    return best;
+  }
+
+  /** Tightest available template whose range contains `sum`, else openSlot. */
+  function fitSlot(slots, sum, release = []) {
+    if (slots.length - release.length >= maxGroupCount) return -1;
+    const used = usage(slots, release);
+    let best = -1;
+    templates.forEach((t, i) => {
+      if (used[i] >= t.count || t.min > sum || t.max < sum) return;
+      if (best === -1 || t.max < templates[best].max) best = i;
+    });
+    return best !== -1 ? best : openSlot(slots, sum, release);
+  }
+
+  /** Available template with the smallest min, for starting a group from scratch. */
+  function emptySlot(slots) {
+    if (slots.length >= maxGroupCount) return -1;
+    const used = usage(slots, []);
+    let best = -1;
+    templates.forEach((t, i) => {
+      if (used[i] >= t.count) return;
+      if (best === -1 || t.min < templates[best].min) best = i;
+    });
+    return best;
+  }
+
+  /** True when every resource of `group` stays within its resourceLimits (`withMin` also checks minimums). */
+  function withinResourceLimits(group, withMin) {
+    if (resourceLimits.length === 0) return true;
+    const totals = resourceTotals(group, nodesById);
+    return resourceLimits.every(({ name, min, max }) => {
+      const total = totals[name] ?? 0;
+      return total <= max && (!withMin || total >= min);
+    });
+  }
+
+  /**
+   * Matches finished groups to templates. Groups are taken in ascending
+   * weight and each gets the available template with the smallest max that
+   * contains it, which finds a complete matching whenever one exists.
+   * Returns template indices parallel to `groups`, or null.
+   */
+  function assign(groups) {
+    if (groups.length < minGroupCount || groups.length > maxGroupCount) return null;
+    if (!groups.every((g) => withinResourceLimits(g, true))) return null;
+    const sums = groups.map((g) => groupNodeWeightSum(g, nodesById));
+    if (!hasTemplates) {
+      return sums.every((s) => s >= minCombined && s <= maxCombined) ? sums.map(() => 0) : null;
+    }
+
+    const remaining = templates.map((t) => t.count);
+    const result = new Array(groups.length);
+    for (let gi = 0; gi < groups.length; gi++) {
+      const slot = pinnedSlot(groups[gi]);
+      if (slot === -1) continue;
+      const t = templates[slot];
+      if (remaining[slot] === 0 || t.min > sums[gi] || t.max < sums[gi]) return null;
+      remaining[slot]--;
+      result[gi] = slot;
+    }
+    const order = sums.map((_, i) => i).filter((gi) => result[gi] === undefined).sort((a, b) => sums[a] - sums[b]);
+    for (const gi of order) {
+      let best = -1;
+      templates.forEach((t, i) => {
+        if (remaining[i] === 0 || t.min > sums[gi] || t.max < sums[gi]) return;
+        if (best === -1 || t.max < templates[best].max) best = i;
+      });
+      if (best === -1) return null;
+      remaining[best]--;
+      result[gi] = best;
+    }
+    return result;
+  }
+
+  /** Slot index the group is pinned to, or -1. */
+  function pinnedSlot(group) {
+    for (const id of group) {
+      if (pins.has(id)) return pins.get(id);
+    }
+    return -1;
+  }
+
+  /**
+   * True when none of `ids` is marked never-together with a member of `group`,
+   * the merged group stays under every resource maximum and still fits the slot
+   * its pinned nodes require.
+   */
+  function canJoin(group, ids) {
+    if (resourceLimits.length > 0 && !withinResourceLimits([...group, ...ids], false)) return false;
+    if (conflicts.size === 0 && pins.size === 0) return true;
+    const apartOk = ids.every((id) => {
+      const apart = conflicts.get(id);
+      return !apart || !group.some((other) => apart.has(other));
+    });
+    if (!apartOk || pins.size === 0) return apartOk;
+    const a = pinnedSlot(group);
+    const b = pinnedSlot(ids);
+    if (a === -1 && b === -1) return true;
+    if (a !== -1 && b !== -1 && a !== b) return false;
+    const sum = groupNodeWeightSum(group, nodesById) + groupNodeWeightSum(ids, nodesById);
+    return sum <= templates[a !== -1 ? a : b].max;
+  }
+
+  function fits(groups) {
+    if ((conflicts.size > 0 || pins.size > 0 || resourceLimits.length > 0) && !groups.every((g) => g.every((id, i) => canJoin(g.slice(i + 1), [id])))) {
+      return false;
+    }
+    return assign(groups) !== null;
+  }
+
+  return {
+    hasTemplates,
+    maxSize,
+    minSize,
+    minGroupCount,
+    maxGroupCount,
+    openSlot,
+    fitSlot,
+    emptySlot,
+    assign,
+    canJoin,
+    fits,
+    isPinned: (id) => pins.has(id),
+    /** Fields identifying template `slot` in groupDetails; named slots sort first by `order`. */
+    describe: (slot) => {
+      if (slot < groupSlots.length) {
+        const { id, label } = groupSlots[slot];
+        return { slotId: id, label: label || String(id) };
+      }
+      return groupTemplates.length > 0 ? { templateIndex: slot - groupSlots.length } : {};
+    },
+    order: (slot) => Math.min(slot, groupSlots.length),
+    minOf: (slot) => templates[slot].min,
+    maxOf: (slot) => templates[slot].max,
+  };
+}
+
+function buildConflictMap(cannotLink, nodesById) {
+  const conflicts = new Map();
+  for (const [a, b] of cannotLink) {
+    if (a === b || !nodesById[a] || !nodesById[b]) continue;
+    if (!conflicts.has(a)) conflicts.set(a, new Set());
+    if (!conflicts.has(b)) conflicts.set(b, new Set());
+    conflicts.get(a).add(b);
+    conflicts.get(b).add(a);
+  }
+  return conflicts;
+}
+
+/**
+ * Units of nodes that must share a group: fixed groups and nodes pinned to the
+ * same slot, joined by the transitive closure of mustLink pairs. Unknown ids
+ * are ignored; units keep the order in which their first member appears.
+ */
+function buildMustLinkClusters(mustLink, fixedGroups, idSet, pinnedNodes = {}) {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const union = (a, b) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  };
+
+  for (const g of fixedGroups) {
+    const members = g.filter((id) => idSet.has(id));
+    for (const id of members) union(members[0], id);
+  }
+  for (const pair of mustLink) {
+    if (!Array.isArray(pair) || pair.length !== 2) continue;
+    const [a, b] = pair;
+    if (idSet.has(a) && idSet.has(b)) union(a, b);
+  }
+  const firstPinned = new Map();
+  for (const [id, slotId] of Object.entries(pinnedNodes)) {
+    if (!idSet.has(id)) continue;
+    if (!firstPinned.has(slotId)) firstPinned.set(slotId, id);
+    union(firstPinned.get(slotId), id);
+  }
+
+  const clusters = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(id);
+  }
+  return [...clusters.values()];
+}
+
+/** Appends `id` to groups[gi], moving the group to a larger template if needed. */
+function tryAddToGroup(groups, slots, gi, id, nodesById, constraints) {
+  if (!constraints.canJoin(groups[gi], [id])) return false;
+  const newSum = groupNodeWeightSum(groups[gi], nodesById) + nodesById[id].nodeWeight;
+  let slot = slots[gi];
+  if (newSum > constraints.maxOf(slot)) slot = constraints.openSlot(slots, newSum, [gi]);
+  if (slot === -1) return false;
+  groups[gi].push(id);
+  slots[gi] = slot;
+  return true;
+}
+
+function hasGroupUnderMin(groups, slots, nodesById, constraints) {
+  return groups.some((g, gi) => groupNodeWeightSum(g, nodesById) < constraints.minOf(slots[gi]));
+}
+
 // ── Solver entry ────────────────────────────────────────────────────────────
 
+/** Above this many units branch and bound only reports its root bound. */
+const EXACT_MAX_UNITS = 40;
+const PROGRESS_INTERVAL_MS = 200;
+
 export function computeGroups(nodes, linkMatrix, minCombined, maxCombined, options = {}) {
-  const { allowFreeNodes = false, symmetricLinks = true, balanceGroupWeightsFactor = 0, bonusPerGroup = 0, fixedGroups: rawFixedGroups = [] } = options;
+  const search = searchSolutions(nodes, linkMatrix, minCombined, maxCombined, options);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value.result;
+}
+
+/**
+ * Anytime variant of computeGroups: an async iterator yielding
+ * { type: 'solution', solution, rank, stats } whenever a solution enters the kept top maxSolutions,
+ * then a final { type: 'done', result, stats } with the same result computeGroups returns.
+ * Solutions found inside annealing or branch and bound are yielded when that phase ends.
+ * Breaking out of the loop stops the search at the next greedy start.
+ */
+export async function* solveIncrementally(problem, options = {}) {
+  const { nodes, linkMatrix, minCombined, maxCombined } = problem;
+  const search = searchSolutions(nodes, linkMatrix, minCombined, maxCombined, options);
+  let step = search.next();
+  while (!step.done) {
+    yield step.value;
+    step = search.next();
+  }
+  yield { type: 'done', ...step.value };
+}
+
+/**
+ * The search behind computeGroups and solveIncrementally. Yields solution events between
+ * phases and greedy starts and returns { result, stats }.
+ */
+function* searchSolutions(rawNodes, linkMatrix, minCombined, maxCombined, options) {
+  const { allowFreeNodes = false, fixedGroups: rawFixedGroups = [], mustLink = [], pinnedNodes = {} } = options;
+  const linkAggregation = resolveLinkAggregation(options);
+  const { exactNodeLimit = 200000, exactTimeLimitMs = 1000 } = options;
+  const { algorithm = 'greedy', timeLimitMs = 2000, maxIterations = 1000000, onProgress = null, onSolution = null } = options;
+  const { seeds = 20, maxSolutions = 10, localSearchIterations = 200, baseSeed = 0 } = options;
+  const { exhaustiveThreshold = options.allowFreeNodes ? 12 : 16, minSolutionDistance = 0 } = options;
+  const { previousSolution = null, stabilityWeight = 0, pruning = 'wasteful' } = options;
+  const startTime = Date.now();
+
+  let seedsDone = 0;
+  let componentsDone = 0;
+  let componentsTotal = 0;
+  let phase = 'setup';
+  const seen = new Set();
+  const solutions = [];
+  const pending = [];
+  const stats = () => ({
+    phase,
+    seedsDone,
+    seedsTotal: seeds,
+    candidatesSeen: seen.size,
+    elapsedMs: Date.now() - startTime,
+  });
+
+  const errors = validate(rawNodes, linkMatrix, minCombined, maxCombined, options);
+  if (errors.length > 0) {
+    return { result: { solutions: [], errors }, stats: stats() };
+  }
+  const nodes = normalizeNodes(rawNodes, options);
+
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const constraints = createConstraints(nodesById, minCombined, maxCombined, options);
+  const ids = nodes.map((n) => n.id);
+  const idSet = new Set(ids);
+  const totalNodeCount = ids.length;
+  const links = buildLinks(ids, linkMatrix, linkAggregation);
+
+  const explicitFixed = rawFixedGroups.filter((g) => Array.isArray(g) && g.length > 0).map((g) => g.filter((id) => idSet.has(id))).filter((g) => g.length > 0);
+  if (new Set(explicitFixed.flat()).size !== explicitFixed.flat().length) {
+    errors.push('Fixed groups must not contain duplicate nodes.');
+    return { result: { solutions: [], errors }, stats: stats() };
+  }
+  // Must-link clusters and nodes pinned to one slot are kept together exactly like fixed groups.
+  const fixedGroups = buildMustLinkClusters(mustLink, explicitFixed, idSet, pinnedNodes);
+  const fixedNodeSet = new Set(fixedGroups.flat());
+  for (const g of fixedGroups) {
+    const sum = groupNodeWeightSum(g, nodesById);
+    if (sum > constraints.maxSize) {
+      errors.push(`A fixed group exceeds maximum combined weight (${constraints.maxSize}).`);
+      return { result: { solutions: [], errors }, stats: stats() };
+    }
+  }
+  const freeIds = ids.filter((id) => !fixedNodeSet.has(id));
+  const numFixed = fixedGroups.length;
+
+  const previousGroups = previousSolution
+    ? previousSolution.groups.map((g) => g.filter((id) => idSet.has(id))).filter((g) => g.length > 0)
+    : null;
+  // Penalty for nodes moved away from their previous group, used in ranking and local search
+  const stabilityPenalty = previousGroups && stabilityWeight > 0
+    ? (groups) => stabilityWeight * movedNodes(previousGroups, groups).length
+    : null;
+
+  const weights = resolveObjective(options);
+  // The branch-and-bound bound covers totalWeight plus a per-group bonus; other terms may only lower the score
+  const boundable = weights.totalWeight === 1 && weights.minGroupWeight === 0 && weights.linkBalance >= 0 && weights.sizeBalance >= 0;
+
+  function solutionScore(sol) {
+    let score = objectiveScore(
+      weights, sol.groupDetails.map((d) => d.combinedWeight), sol.groupDetails.map((d) => d.nodeWeightSum)
+    );
+    if (sol.movedNodes && stabilityWeight > 0) score -= stabilityWeight * sol.movedNodes.length;
+    return score;
+  }
+
+  // Objective and stability penalty that local search scores its moves with
+  const scoring = { weights, penalty: stabilityPenalty };
+
+  function addSolution(groups, freeNodes = []) {
+    if (solutionHasDuplicateNodes(groups, freeNodes, totalNodeCount)) return;
+    const key = solutionKey(groups, freeNodes);
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (freeNodes.some((id) => constraints.isPinned(id))) return;
+    const assigned = constraints.assign(groups);
+    if (!assigned) return;
+
+    // Named slots first, in the order they were declared, so "Table 1" stays Table 1.
+    const order = groups.map((_, i) => i).sort((a, b) => constraints.order(assigned[a]) - constraints.order(assigned[b]));
+    const sorted = order.map((i) => groups[i]);
+    const details = buildGroupDetails(
+      sorted, links, nodesById,
+      constraints.hasTemplates ? order.map((i) => constraints.describe(assigned[i])) : null
+    );
+    const totalWeight = details.reduce((s, d) => s + d.combinedWeight, 0);
+    const solution = {
+      groups: sorted.map((g) => [...g]),
+      freeNodes: [...freeNodes],
+      totalWeight,
+      groupDetails: details,
+    };
+    if (previousGroups) solution.movedNodes = movedNodes(previousGroups, solution.groups);
+    if (minSolutionDistance > 0) {
+      // Of two solutions closer than minSolutionDistance only the better one is kept
+      const score = solutionScore(solution);
+      const close = solutions.filter((other) => partitionDistance(other, solution) < minSolutionDistance);
+      if (close.some((other) => solutionScore(other) >= score)) return;
+      for (const other of close) solutions.splice(solutions.indexOf(other), 1);
+    }
+    solutions.push(solution);
+
+    solutions.sort((a, b) => solutionScore(b) - solutionScore(a));
+    if (solutions.length > maxSolutions) solutions.length = maxSolutions;
+
+    const rank = solutions.indexOf(solution);
+    if (rank === -1) return;
+    const event = { type: 'solution', solution, rank, stats: stats() };
+    pending.push(event);
+    if (onSolution) onSolution(event);
+  }
+
+  let lastReport = 0;
+  /** Calls onProgress with the current best solutions, at most every PROGRESS_INTERVAL_MS unless forced. */
+  function report(force = false) {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    onProgress({
+      phase,
+      seedsDone,
+      seedsTotal: seeds,
+      componentsDone,
+      componentsTotal,
+      bestScore: solutions.length > 0 ? solutionScore(solutions[0]) : null,
+      solutions: solutions.slice(),
+    });
+  }
+
+  const isSmall = ids.length <= exhaustiveThreshold;
+  // Annealing replaces the first-improvement polish of each greedy start
+  const annealing = algorithm === 'annealing';
+
+  let components = null;
+  let componentBound = null;
+  // The components and the final branch and bound share one exact-search time budget
+  let exactBudgetMs = exactTimeLimitMs;
+
+  if (previousGroups) {
+    phase = 'warm-start';
+    const start = warmStart(
+      previousGroups, previousSolution.freeNodes || [], ids, fixedGroups, nodesById, links, constraints, allowFreeNodes
+    );
+    if (start) {
+      addSolution(start.groups, start.freeNodes);
+      const improved = localSearch(
+        start.groups, start.freeNodes, ids, nodesById, links,
+        constraints, allowFreeNodes, fixedGroups, localSearchIterations, scoring
+      );
+      addSolution(improved.groups, improved.freeNodes);
+    }
+    report(true);
+    yield* pending.splice(0);
+  }
+
+  if (numFixed === 0) {
+    if (isSmall) {
+      phase = 'exhaustive';
+      exhaustiveSearch(ids, nodesById, links, constraints, addSolution, allowFreeNodes);
+      report(true);
+      yield* pending.splice(0);
+    }
+    phase = 'greedy';
+    for (let seed = baseSeed; seed < baseSeed + seeds; seed++) {
+      const result = greedyBuild(ids, nodesById, links, constraints, seed, allowFreeNodes);
+      if (result) {
+        addSolution(result.groups, result.freeNodes);
+        if (!annealing) {
+          const improved = localSearch(
+            result.groups, result.freeNodes, ids, nodesById, links,
+            constraints, allowFreeNodes, [], localSearchIterations, scoring
+          );
+          if (improved) addSolution(improved.groups, improved.freeNodes);
+        }
+      }
+      seedsDone++;
+      report(true);
+      yield* pending.splice(0);
+    }
+  } else {
+    phase = 'greedy';
+    for (let seed = baseSeed; seed < baseSeed + seeds; seed++) {
+      const result = greedyBuildWithFixed(freeIds, fixedGroups, nodesById, links, constraints, seed, allowFreeNodes);
+      if (result) {
+        addSolution(result.groups, result.freeNodes);
+        if (!annealing) {
+          const improved = localSearch(
+            result.groups, result.freeNodes, ids, nodesById, links,
+            constraints, allowFreeNodes, fixedGroups, localSearchIterations, scoring
+          );
+          if (improved) addSolution(improved.groups, improved.freeNodes);
+        }
+      }
+      seedsDone++;
+      report(true);
+      yield* pending.splice(0);
+    }
+  }
+
+  // Solving components on their own pays off when each is small enough to solve exactly and
+  // the whole instance is not enumerated anyway
+  const componentIds = linkComponents(ids, links, fixedGroups);
+  if (
+    componentIds.length > 1 && !constraints.hasTemplates && !(isSmall && numFixed === 0)
+    && componentIds.every((c) => c.length <= EXACT_MAX_UNITS)
+  ) {
+    phase = 'components';
+    componentsTotal = componentIds.length;
+    const started = Date.now();
+    const solved = [];
+    let nodesLeft = ids.length;
+    for (const component of componentIds) {
+      // A share of what is left by size, so time an easy component leaves unused passes on
+      const share = component.length / nodesLeft;
+      nodesLeft -= component.length;
+      const result = solveComponent(component, nodesById, links, fixedGroups, maxCombined, options, {
+        seeds: Math.max(1, Math.round((seeds * component.length) / ids.length)),
+        exactTimeLimitMs: Math.max(0, exactTimeLimitMs - (Date.now() - started)) * share,
+      });
+      componentsDone++;
+      report(true);
+      yield* pending.splice(0);
+      if (!result) break;
+      solved.push(result);
+    }
+    exactBudgetMs = Math.max(0, exactTimeLimitMs - (Date.now() - started));
+    if (solved.length === componentIds.length) {
+      components = solved.map(({ nodeIds, optimal, totalWeight }) => ({ nodeIds, optimal, totalWeight }));
+      const packed = packSubgroups(solved.flatMap((c) => c.groups), nodesById, constraints, minCombined, maxCombined);
+      if (packed) {
+        const freeNodes = solved.flatMap((c) => c.freeNodes);
+        addSolution(packed, freeNodes);
+        const improved = localSearch(
+          packed, freeNodes, ids, nodesById, links,
+          constraints, allowFreeNodes, fixedGroups, localSearchIterations, scoring
+        );
+        addSolution(improved.groups, improved.freeNodes);
+        // Every grouping splits into per-component partitions, so the components' optima bound plain totalWeight
+        const plainTotal = weights.totalWeight === 1 && !weights.minGroupWeight && !weights.groupCount && !weights.linkBalance && !weights.sizeBalance;
+        if (plainTotal && !stabilityPenalty && components.every((c) => c.optimal)) {
+          componentBound = components.reduce((sum, c) => sum + c.totalWeight, 0);
+        }
+      }
+    }
+    report(true);
+    yield* pending.splice(0);
+  }
+
+  if (annealing && solutions.length > 0) {
+    phase = 'annealing';
+    simulatedAnnealing(
+      solutions[0].groups, solutions[0].freeNodes, nodesById, links, constraints, allowFreeNodes,
+      scoring, fixedGroups, { timeLimitMs, maxIterations }, baseSeed, addSolution, () => report()
+    );
+    yield* pending.splice(0);
+  }
+
+  const bestScore = () => (solutions.length > 0 ? solutionScore(solutions[0]) : -Infinity);
+  let search = { complete: true, bound: bestScore() };
+  if (componentBound != null && bestScore() >= componentBound - 1e-9) {
+    search = { complete: true, bound: componentBound };
+  } else if (!(isSmall && numFixed === 0) && !boundable) {
+    search = { complete: false, bound: null };
+  } else if (!(isSmall && numFixed === 0)) {
+    const units = [...fixedGroups, ...freeIds.map((id) => [id])];
+    const budget = {
+      nodeLimit: units.length <= EXACT_MAX_UNITS ? exactNodeLimit : 0,
+      timeLimitMs: exactBudgetMs,
+    };
+    phase = 'exact';
+    search = branchAndBound(
+      units, nodesById, links, constraints, addSolution, bestScore,
+      allowFreeNodes, weights.groupCount, budget, () => report()
+    );
+    yield* pending.splice(0);
+  }
+  phase = 'done';
+
+  const pruned = pruneSolutions(solutions, links, pruning);
+
+  if (solutions.length === 0) {
+    return { result: { solutions, optimal: false, bestBound: null, gap: null, pruned, errors: [] }, stats: stats() };
+  }
+  for (const sol of solutions) sol.distanceToBest = partitionDistance(solutions[0], sol);
+  const gap = search.bound == null ? null : Math.max(0, search.bound - solutionScore(solutions[0]));
+  const optimal = search.complete && gap <= 1e-9;
+
+  return {
+    result: { solutions, optimal, bestBound: search.bound, gap, pruned, ...(components ? { components } : {}), errors: [] },
+    stats: stats(),
+  };
+}
+
+// ── Solution pruning ────────────────────────────────────────────────────────
+
+/**
+ * Drops kept solutions by the `pruning` policy, judged on every node that shares a group:
+ *   'wasteful' (default)    – the node has no link to anyone else in its group
+ *   { minInGroupWeight: w } – the node's summed link weight to the rest of its group is below w
+ *   'off'                   – nothing is dropped
+ * Solutions are only dropped when at least one survives. Returns how many were dropped.
+ */
+function pruneSolutions(solutions, links, pruning = 'wasteful') {
+  if (pruning === 'off' || solutions.length === 0) return 0;
+  const weak = pruning === 'wasteful'
+    ? (id, members) => members.every((other) => other === id || links.weight(id, other) === 0)
+    : (id, members) => links.linkSum(id, members) < pruning.minInGroupWeight;
+
+  function isPrunable(sol) {
+    return sol.groupDetails.some((gd) => gd.nodeIds.length > 1 && gd.nodeIds.some((id) => weak(id, gd.nodeIds)));
+  }
+
+  const keep = solutions.filter((s) => !isPrunable(s));
+  if (keep.length === 0) return 0;
+  const pruned = solutions.length - keep.length;
+  solutions.splice(0, solutions.length, ...keep);
+  return pruned;
+}
+
+// ── Explain a solution ──────────────────────────────────────────────────────
+
+/**
+ * Per-node account of `solution` ({ groups, freeNodes }), keyed by node id:
+ *   groupIndex          – index into solution.groups, or -1 for a free node
+ *   contribution        – how much the group's combinedWeight drops without the node
+ *   strongestInGroup    – { nodeId, linkWeight } of its heaviest positive link inside the group
+ *   strongestOutOfGroup – { nodeId, linkWeight, groupIndex } of its heaviest positive link elsewhere
+ *   bestMove            – { toGroup, delta } for the best feasible move of this node alone
+ *                         (toGroup -1 = free); delta is the change in totalWeight plus
+ *                         bonusPerGroup per group. null when no single move is feasible.
+ * Bounds come from options.minCombined / options.maxCombined (default unbounded); the
+ * other options are those of computeGroups. Nodes kept with others by fixedGroups or
+ * mustLink never move alone.
+ */
+export function explainSolution(rawNodes, linkMatrix, solution, options = {}) {
+  const nodes = normalizeNodes(rawNodes, options);
+  const { minCombined = 0, maxCombined = Infinity, allowFreeNodes = false, bonusPerGroup = 0 } = options;
+  const { fixedGroups = [], mustLink = [], pinnedNodes = {} } = options;
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const idSet = new Set(nodes.map((n) => n.id));
+  const links = buildLinks(nodes.map((n) => n.id), linkMatrix, resolveLinkAggregation(options));
+  const constraints = createConstraints(nodesById, minCombined, maxCombined, options);
+  const groups = solution.groups.map((g) => g.filter((id) => idSet.has(id)));
+  const freeNodes = (solution.freeNodes || []).filter((id) => idSet.has(id));
+  const locked = new Set(buildMustLinkClusters(mustLink, fixedGroups, idSet).filter((c) => c.length > 1).flat());
+
+  const groupOf = new Map();
+  groups.forEach((g, gi) => {
+    for (const id of g) groupOf.set(id, gi);
+  });
+
+  const explanation = {};
+  for (const id of [...groups.flat(), ...freeNodes]) {
+    const gi = groupOf.has(id) ? groupOf.get(id) : -1;
+    const own = gi === -1 ? [] : groups[gi];
+
+    let strongestInGroup = null;
+    let strongestOutOfGroup = null;
+    for (const other of idSet) {
+      if (other === id) continue;
+      const linkWeight = links.weight(id, other);
+      if (linkWeight <= 0) continue;
+      const otherGi = groupOf.has(other) ? groupOf.get(other) : -1;
+      if (gi !== -1 && otherGi === gi) {
+        if (!strongestInGroup || linkWeight > strongestInGroup.linkWeight) strongestInGroup = { nodeId: other, linkWeight };
+      } else if (!strongestOutOfGroup || linkWeight > strongestOutOfGroup.linkWeight) {
+        strongestOutOfGroup = { nodeId: other, linkWeight, groupIndex: otherGi };
+      }
+    }
+
+    const contribution = links.linkSum(id, own);
+    let bestMove = null;
+    if (!locked.has(id)) {
+      const emptiesGroup = own.length === 1;
+      const without = groups.map((g, i) => (i === gi ? g.filter((other) => other !== id) : g));
+      const targets = groups.map((_, i) => i).filter((i) => i !== gi);
+      if (gi !== -1 && allowFreeNodes && !constraints.isPinned(id)) targets.push(-1);
+      for (const to of targets) {
+        const candidate = to === -1 ? without : without.map((g, i) => (i === to ? [...g, id] : g));
+        if (!constraints.fits(candidate.filter((g) => g.length > 0))) continue;
+        const gain = to === -1 ? 0 : links.linkSum(id, groups[to]);
+        const delta = gain - contribution - (emptiesGroup ? bonusPerGroup : 0);
+        if (!bestMove || delta > bestMove.delta) bestMove = { toGroup: to, delta };
+      }
+    }
+
+    explanation[id] = { groupIndex: gi, contribution, strongestInGroup, strongestOutOfGroup, bestMove };
+  }
+  return explanation;
+}
+
+// ── Evaluate a solution ─────────────────────────────────────────────────────
+
+/**
+ * Scores a hand-made or imported assignment. Returns the shape of a computeGroups solution
+ * ({ groups, freeNodes, totalWeight, groupDetails }) plus `violations`, a list of
+ * issues (see validateIssues) with severity 'error' for every rule it breaks, coded 'unknown',
+ * 'duplicate', 'missing', 'free', 'bounds', 'resources', 'groupCount', 'fixedGroup', 'cannotLink'
+ * and 'pinned'. Groups keep the
+ * given order. Bounds come from options.minCombined / options.maxCombined as in explainSolution.
+ */
+export function evaluateSolution(rawNodes, linkMatrix, groups, freeNodes = [], options = {}) {
+  const nodes = normalizeNodes(rawNodes, options);
+  const { minCombined = 0, maxCombined = Infinity, allowFreeNodes = false } = options;
+  const { fixedGroups = [], mustLink = [], cannotLink = [], pinnedNodes = {} } = options;
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const idSet = new Set(nodes.map((n) => n.id));
+  const links = buildLinks(nodes.map((n) => n.id), linkMatrix, resolveLinkAggregation(options));
+  const constraints = createConstraints(nodesById, minCombined, maxCombined, options);
+  const violations = [];
+  const violation = (code, message, nodeIds = []) => violations.push(issue(code, message, nodeIds));
+
+  const seen = new Set();
+  const keep = (id) => {
+    if (!idSet.has(id)) {
+      violation('unknown', `"${id}" is not a known node.`, [id]);
+      return false;
+    }
+    if (seen.has(id)) {
+      violation('duplicate', `Node "${id}" appears more than once.`, [id]);
+      return false;
+    }
+    seen.add(id);
+    return true;
+  };
+  const cleanGroups = groups.map((g) => g.filter(keep)).filter((g) => g.length > 0);
+  const cleanFree = freeNodes.filter(keep);
+
+  const missing = nodes.map((n) => n.id).filter((id) => !seen.has(id));
+  if (missing.length > 0) {
+    violation('missing', `${missing.length} node(s) are neither grouped nor free: ${missing.map((id) => `"${id}"`).join(', ')}.`, missing);
+  }
+  if (cleanFree.length > 0 && !allowFreeNodes) {
+    violation('free', 'Free nodes are not allowed.', cleanFree);
+  }
+
+  const sums = cleanGroups.map((g) => groupNodeWeightSum(g, nodesById));
+  if (!constraints.hasTemplates) {
+    cleanGroups.forEach((g, gi) => {
+      if (sums[gi] < minCombined || sums[gi] > maxCombined) {
+        violation('bounds', `Group ${gi + 1} has combined weight ${sums[gi]}, outside [${minCombined}, ${maxCombined}].`, g);
+      }
+    });
+  }
+  for (const { name, min, max } of resolveResourceLimits(options)) {
+    cleanGroups.forEach((g, gi) => {
+      const total = resourceTotals(g, nodesById)[name] ?? 0;
+      if (total < min || total > max) {
+        violation('resources', `Group ${gi + 1} uses ${total} ${name}, outside [${min}, ${max}].`, g);
+      }
+    });
+  }
+  const { minGroups, maxGroups } = resolveGroupCount(options);
+  if (cleanGroups.length < minGroups || cleanGroups.length > maxGroups) {
+    violation('groupCount', `${cleanGroups.length} group(s) used, but between ${minGroups} and ${maxGroups} are required.`);
+  }
+  const assigned = constraints.assign(cleanGroups);
+  if (!assigned && constraints.hasTemplates) {
+    violation('bounds', 'The groups do not fit the available group templates and named groups.', cleanGroups.flat());
+  }
+
+  const groupOf = new Map();
+  cleanGroups.forEach((g, gi) => {
+    for (const id of g) groupOf.set(id, gi);
+  });
+  for (const cluster of buildMustLinkClusters(mustLink, fixedGroups, idSet)) {
+    const where = new Set(cluster.map((id) => (groupOf.has(id) ? groupOf.get(id) : -1)));
+    if (where.size > 1 || where.has(-1)) {
+      violation('fixedGroup', `Nodes ${cluster.map((id) => `"${id}"`).join(', ')} must share a group.`, cluster);
+    }
+  }
+  for (const pair of cannotLink) {
+    if (!Array.isArray(pair) || pair.length !== 2) continue;
+    const [a, b] = pair;
+    if (groupOf.has(a) && groupOf.get(a) === groupOf.get(b)) {
+      violation('cannotLink', `"${a}" and "${b}" must never share a group.`, [a, b]);
+    }
+  }
+  for (const id of cleanFree) {
+    if (constraints.isPinned(id)) violation('pinned', `Node "${id}" is pinned to "${pinnedNodes[id]}" but left free.`, [id]);
+  }
+
+  const groupDetails = buildGroupDetails(
+    cleanGroups, links, nodesById,
+    assigned && constraints.hasTemplates ? assigned.map((slot) => constraints.describe(slot)) : null
+  );
+  return {
+    groups: cleanGroups.map((g) => [...g]),
+    freeNodes: cleanFree,
+    totalWeight: groupDetails.reduce((sum, d) => sum + d.combinedWeight, 0),
+    groupDetails,
+    violations,
+  };
+}
+
+// ── Diagnose infeasibility ──────────────────────────────────────────────────
+
+/**
+ * Explains why no grouping may exist. Returns { reasons, suggestion }: `reasons` lists
+ * issues (see validateIssues) with severity 'error' for every check that fails, coded
+ *   overweight  – nodes that must stay together (a fixed group, mustLink pairs or a single
+ *                 node) weigh more than any group may hold
+ *   unreachable – a fixed group or node can never reach minCombined: every set of other nodes
+ *                 it could join either stays below minCombined or passes maxCombined
+ *   partition   – the total weight cannot be split into the allowed number of groups that all
+ *                 lie in [minCombined, maxCombined]
+ *   capacity    – the group templates hold less than the total weight
+ * and `suggestion` is the smallest change of a single bound after which every check passes,
+ * { minCombined, message } or { maxCombined, message }, or null (no reasons, or bounds that come
+ * from templates and named groups). Lowering the minimum wins ties. linkMatrix is unused and
+ * taken for symmetry with computeGroups. Only these checks run, so passing them does not
+ * prove that a solution exists.
+ */
+export function diagnose(rawNodes, linkMatrix, minCombined, maxCombined, options = {}) {
+  const nodes = normalizeNodes(rawNodes, options);
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const diagnosis = {
+    ...diagnosisContext(nodes, options),
+    constraints: createConstraints(nodesById, minCombined, maxCombined, options),
+  };
+
+  const reasons = infeasibilityReasons(diagnosis, minCombined, maxCombined);
+  const suggestion = reasons.length > 0 ? smallestBoundChange(diagnosis, minCombined, maxCombined) : null;
+  return { reasons, suggestion };
+}
+
+/**
+ * What every check shares: the units that move as one (must-link clusters flagged
+ * `clustered`, then single nodes) with their weights, the never-together map and a
+ * formatter for node names.
+ */
+function diagnosisContext(nodes, options) {
+  const { fixedGroups = [], mustLink = [], cannotLink = [], pinnedNodes = {} } = options;
+  const nodesById = {};
+  for (const n of nodes) nodesById[n.id] = n;
+  const clustered = buildMustLinkClusters(mustLink, fixedGroups, new Set(nodes.map((n) => n.id)), pinnedNodes);
+  const inCluster = new Set(clustered.flat());
+  const units = [
+    ...clustered.map((ids) => ({ ids, clustered: true })),
+    ...nodes.filter((n) => !inCluster.has(n.id)).map((n) => ({ ids: [n.id], clustered: false })),
+  ].map((u) => ({ ...u, weight: groupNodeWeightSum(u.ids, nodesById) }));
+  return {
+    options,
+    units,
+    nodeIds: nodes.map((n) => n.id),
+    total: units.reduce((s, u) => s + u.weight, 0),
+    conflicts: buildConflictMap(cannotLink, nodesById),
+    names: (ids) => {
+      const shown = ids.slice(0, 10).map((id) => `"${nodesById[id].label || id}"`).join(', ');
+      return ids.length > 10 ? `${shown} and ${ids.length - 10} more` : shown;
+    },
+  };
+}
+
+/**
+ * Whether some set of the `fitting` units that do not conflict with `unit` brings it
+ * into [min, max]. Sums are collected up to max, giving up (true) past 5000 of them.
+ */
+function canReachMinimum(unit, fitting, conflicts, minCombined, maxCombined) {
+  const conflictsWith = (v) => unit.ids.some((a) => v.ids.some((b) => conflicts.get(a)?.has(b)));
+  const others = fitting.filter((v) => v !== unit && !conflictsWith(v));
+  const low = minCombined - unit.weight;
+  const high = maxCombined - unit.weight;
+  let sums = new Set([0]);
+  for (const v of others) {
+    const next = new Set(sums);
+    for (const s of sums) {
+      if (s + v.weight <= high) next.add(s + v.weight);
+    }
+    sums = next;
+    if (sums.size > 5000) return true;
+  }
+  return [...sums].some((s) => s >= low);
+}
+
+function infeasibilityReasons(diagnosis, minCombined, maxCombined) {
+  const { options, units, nodeIds, total, constraints, conflicts, names } = diagnosis;
+  const { allowFreeNodes = false } = options;
+  const reasons = [];
+  const reason = (code, message, ids) => reasons.push(issue(code, message, ids));
+
+  const largestMax = constraints.hasTemplates ? constraints.maxSize : maxCombined;
+  const fitting = [];
+  for (const u of units) {
+    if (u.weight <= largestMax) {
+      fitting.push(u);
+      continue;
+    }
+    const what = u.ids.length === 1 ? `Node ${names(u.ids)} weighs` : `Nodes ${names(u.ids)} must stay together but weigh`;
+    const limit = constraints.hasTemplates ? `the largest group allows (${largestMax})` : `maximumCombinedWeight (${maxCombined})`;
+    reason('overweight', `${what} ${u.weight}, more than ${limit}.`, u.ids);
+  }
+  if (allowFreeNodes) return reasons;
+
+  if (constraints.hasTemplates) {
+    const { groupTemplates = [] } = options;
+    const { maxGroups } = resolveGroupCount(options);
+    const templates = groupTemplates.map((t) => ({ max: t.max, count: t.count ?? Infinity }));
+    const capacity = groupTemplates.length > 0
+      ? (options.groupSlots || []).reduce((s, slot) => s + (slot.max ?? maxCombined), 0)
+        + sumExtremeBounds(templates, 'max', Math.min(maxGroups, units.length), true)
+      : Infinity;
+    if (total > capacity) {
+      reason('capacity', `Total weight ${total} is more than the ${capacity} the group templates and named groups hold.`, nodeIds);
+    }
+    return reasons;
+  }
+
+  // A unit below the minimum needs company; single nodes of equal weight share one check.
+  const byWeight = new Map();
+  const stuck = [];
+  for (const u of fitting) {
+    if (u.weight >= minCombined) continue;
+    const plain = u.ids.length === 1 && !conflicts.has(u.ids[0]);
+    if (plain && byWeight.has(u.weight)) {
+      byWeight.get(u.weight)?.ids.push(...u.ids);
+      continue;
+    }
+    const entry = canReachMinimum(u, fitting, conflicts, minCombined, maxCombined) ? null : { ids: [...u.ids], plain, weight: u.weight };
+    if (plain) byWeight.set(u.weight, entry);
+    if (entry) stuck.push(entry);
+  }
+  for (const { ids, plain, weight } of stuck) {
+    const what = !plain && ids.length > 1
+      ? `Nodes ${names(ids)} must stay together (weight ${weight}) but`
+      : ids.length > 1 ? `Nodes ${names(ids)} (weight ${weight} each)` : `Node ${names(ids)} (weight ${weight})`;
+    reason(
+      'unreachable',
+      `${what} can never reach minimumCombinedWeight ${minCombined}: joining any other nodes either stays below ${minCombined} or passes ${maxCombined}.`,
+      ids
+    );
+  }
+
+  // k groups can hold the total weight only when k·min ≤ total ≤ k·max; with integer
+  // weights the total must also add up from k group sums that some units can reach.
+  const { minGroups, maxGroups } = resolveGroupCount(options);
+  const fewest = Math.max(1, minGroups);
+  const most = Math.min(maxGroups, units.length);
+  const counts = groupCountRange(fitting, total, minCombined, maxCombined);
+  let splittable = false;
+  if (counts) {
+    splittable = counts.fewest <= most && counts.most >= fewest;
+  } else {
+    for (let k = fewest; k <= most && !splittable; k++) {
+      splittable = total >= k * minCombined && total <= k * maxCombined;
+    }
+  }
+  if (!splittable) {
+    const groups = fewest === most ? `${fewest} group(s)` : maxGroups === Infinity ? 'groups' : `${fewest} to ${most} groups`;
+    reason('partition', `Total weight ${total} cannot be split into ${groups} of ${minCombined} to ${maxCombined} each.`, nodeIds);
+  }
+  return reasons;
+}
+
+/**
+ * Fewest and most groups whose sums add up to `total`, where a group sum is any subset sum
+ * of the units within [minCombined, maxCombined] (units may be reused, so this only bounds
+ * the real counts). Infinity / -Infinity when `total` cannot be reached; null when the
+ * weights are not integers or the tables would grow too large.
+ */
+function groupCountRange(units, total, minCombined, maxCombined) {
+  if (minCombined <= 0 || ![total, minCombined, ...units.map((u) => u.weight)].every(Number.isInteger)) return null;
+  const sums = new Set([0]);
+  for (const u of units) {
+    for (const s of [...sums]) {
+      if (s + u.weight <= maxCombined) sums.add(s + u.weight);
+    }
+    if (sums.size > 5000) return null;
+  }
+  const groupSums = [...sums].filter((s) => s >= minCombined);
+  if (total * groupSums.length > 2e6) return null;
+  const fewest = new Array(total + 1).fill(Infinity);
+  const most = new Array(total + 1).fill(-Infinity);
+  fewest[0] = 0;
+  most[0] = 0;
+  for (let t = 1; t <= total; t++) {
+    for (const g of groupSums) {
+      if (g > t || fewest[t - g] === Infinity) continue;
+      fewest[t] = Math.min(fewest[t], fewest[t - g] + 1);
+      most[t] = Math.max(most[t], most[t - g] + 1);
+    }
+  }
+  return { fewest: fewest[total], most: most[total] };
+}
+
+/**
+ * Nearest minCombined below / maxCombined above the given ones that passes every check.
+ * The checks only compare the bounds with sums of units and with total / k for k groups, so
+ * those values are the candidates: up to 100 each way, starting where the group count allows
+ * the total weight, then a minimum of 0 or a maximum of the total weight.
+ */
+function smallestBoundChange(diagnosis, minCombined, maxCombined) {
+  const { options, units, total, constraints } = diagnosis;
+  if (constraints.hasTemplates) return null;
+  const passes = (min, max) => infeasibilityReasons(diagnosis, min, max).length === 0;
+  const integral = [minCombined, maxCombined, ...units.map((u) => u.weight)].every(Number.isInteger);
+  const { minGroups, maxGroups } = resolveGroupCount(options);
+  const fewest = Math.max(1, minGroups);
+  const most = Math.min(maxGroups, units.length);
+  const shares = [];
+  for (let k = fewest; k <= most; k++) shares.push(total / k);
+  const sums = unitSubsetSums(units);
+
+  let lowered = null;
+  if (units.every((u) => u.weight <= maxCombined)) {
+    const first = total / fewest;
+    const candidates = [...new Set([...sums, ...shares.map((x) => (integral ? Math.floor(x) : x))])]
+      .filter((min) => min < minCombined && min <= first)
+      .sort((a, b) => b - a)
+      .slice(0, 100);
+    lowered = [...candidates, 0].find((min) => min < minCombined && passes(min, maxCombined)) ?? null;
+  }
+  const heaviest = Math.max(0, ...units.map((u) => u.weight));
+  const first = total / Math.max(1, most);
+  const candidates = [...new Set([...sums, ...shares.map((x) => (integral ? Math.ceil(x) : x))])]
+    .filter((max) => max > maxCombined && max >= first)
+    .sort((a, b) => a - b)
+    .slice(0, 100);
+  const raised = [...candidates, Math.max(total, heaviest)]
+    .find((max) => max > maxCombined && passes(minCombined, max)) ?? null;
+
+  if (lowered !== null && (raised === null || minCombined - lowered <= raised - maxCombined)) {
+    return { minCombined: lowered, message: `Try lowering minimumCombinedWeight to ${lowered}.` };
+  }
+  if (raised !== null) {
+    return { maxCombined: raised, message: `Try raising maximumCombinedWeight to ${raised}.` };
+  }
+  return null;
+}
 
-  const errors = validate(nodes, linkMatrix, minCombined, maxCombined);
-  if (errors.length > 0) {
-    return { solutions: [], errors };
+/**
+ * Distinct subset sums of the unit weights, rounded to 9 decimals so that fractional weights
+ * add up to the same value in any order. Stops growing at `limit` sums.
+ */
+function unitSubsetSums(units, limit = 5000) {
+  const sums = new Set([0]);
+  for (const u of units) {
+    for (const s of [...sums]) {
+      if (sums.size >= limit) return [...sums];
+      sums.add(Math.round((s + u.weight) * 1e9) / 1e9);
+    }
   }
+  return [...sums];
+}
 
-  const nodesById = {};
-  for (const n of nodes) nodesById[n.id] = n;
-  const ids = nodes.map((n) => n.id);
-  const idSet = new Set(ids);
-  const totalNodeCount = ids.length;
+// ── Floor plan placement ────────────────────────────────────────────────────
 
-  let fixedGroups = rawFixedGroups.filter((g) => Array.isArray(g) && g.length > 0).map((g) => g.filter((id) => idSet.has(id))).filter((g) => g.length > 0);
-  const fixedNodeSet = new Set(fixedGroups.flat());
-  if (fixedNodeSet.size !== fixedGroups.flat().length) {
-    errors.push('Fixed groups must not contain duplicate nodes.');
-    return { solutions: [], errors };
+/**
+ * Second stage after computeGroups: assigns the groups of `solution` ({ groups }) to the
+ * positions of a floor plan, maximizing link weight between groups at neighboring positions
+ * plus closeness to anchor groups. floorPlan:
+ *   positions        – [{ id, label, x, y }], at least one per group
+ *   adjacency        – optional { "p|q": weight } between position ids; by default positions
+ *                      within neighborDistance of each other are neighbors with weight 1
+ *   neighborDistance – default 1.5 × the shortest distance between two positions
+ *   anchors          – optional [{ positionId, nodeIds }]: the group holding any of nodeIds
+ *                      sits at positionId (e.g. the couple at the head table)
+ * Every other group also scores anchorWeight (option, default 1) × its link weight to an anchor
+ * group × neighborDistance / (neighborDistance + distance to the anchor). Returns
+ * { placements: [{ groupIndex, positionId }], score, errors }; linkAggregation applies as in
+ * computeGroups. Placement is deterministic: a greedy start polished by pairwise swaps.
+ */
+export function placeGroups(solution, linkMatrix, floorPlan, options = {}) {
+  const { anchorWeight = 1 } = options;
+  const { positions = [], adjacency = null, anchors = [] } = floorPlan;
+  const groups = solution.groups;
+  const errors = [];
+  if (groups.length > positions.length) {
+    errors.push(`The floor plan has ${positions.length} position(s) for ${groups.length} group(s).`);
   }
-  for (const g of fixedGroups) {
-    const sum = groupNodeWeightSum(g, nodesById);
-    if (sum > maxCombined) {
-      errors.push(`A fixed group exceeds maximum combined weight (${maxCombined}).`);
-      return { solutions: [], errors };
+  const positionIndex = new Map(positions.map((p, i) => [p.id, i]));
+  const fixed = new Map();
+  for (const { positionId, nodeIds = [] } of anchors) {
+    const gi = groups.findIndex((g) => nodeIds.some((id) => g.includes(id)));
+    if (!positionIndex.has(positionId)) {
+      errors.push(`Anchor position "${positionId}" is not on the floor plan.`);
+    } else if (gi !== -1 && fixed.has(gi) && fixed.get(gi) !== positionIndex.get(positionId)) {
+      errors.push(`Group ${gi + 1} is anchored to more than one position.`);
+    } else if (gi !== -1 && [...fixed.values()].includes(positionIndex.get(positionId))) {
+      errors.push(`Position "${positionId}" is anchored to more than one group.`);
+    } else if (gi !== -1) {
+      fixed.set(gi, positionIndex.get(positionId));
     }
   }
-  const freeIds = ids.filter((id) => !fixedNodeSet.has(id));
-  const numFixed = fixedGroups.length;
+  if (errors.length > 0) return { placements: [], score: 0, errors };
 
-  const seen = new Set();
-  const solutions = [];
+  const distance = (i, j) => Math.hypot(positions[i].x - positions[j].x, positions[i].y - positions[j].y);
+  let shortest = Infinity;
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) shortest = Math.min(shortest, distance(i, j) || Infinity);
+  }
+  const { neighborDistance = Number.isFinite(shortest) ? 1.5 * shortest : 1 } = floorPlan;
+  const neighborWeight = positions.map((p, i) => positions.map((q, j) => {
+    if (i === j) return 0;
+    if (adjacency) return adjacency[`${p.id}|${q.id}`] ?? adjacency[`${q.id}|${p.id}`] ?? 0;
+    return distance(i, j) <= neighborDistance ? 1 : 0;
+  }));
+  const closeness = positions.map((_, i) => positions.map((_, j) => neighborDistance / (neighborDistance + distance(i, j))));
+
+  const links = buildLinks([...groups.flat(), ...(solution.freeNodes || [])], linkMatrix, resolveLinkAggregation(options));
+  const between = groups.map((g) => groups.map((h) => (g === h ? 0 : g.reduce((s, id) => s + links.linkSum(id, h), 0))));
+  const anchorGroups = [...fixed.keys()];
+
+  // at[p] = group index at position p, or -1; score counts each neighbor pair once
+  const score = (at) => {
+    let total = 0;
+    for (let p = 0; p < at.length; p++) {
+      if (at[p] === -1) continue;
+      for (let q = p + 1; q < at.length; q++) {
+        if (at[q] !== -1) total += neighborWeight[p][q] * between[at[p]][at[q]];
+      }
+      for (const ag of anchorGroups) {
+        if (ag !== at[p]) total += anchorWeight * between[at[p]][ag] * closeness[p][fixed.get(ag)];
+      }
+    }
+    return total;
+  };
 
-  function solutionScore(sol) {
-    let score = sol.totalWeight + bonusPerGroup * sol.groups.length;
-    if (balanceGroupWeightsFactor > 0 && sol.groupDetails.length > 0) {
-      const combinedWeights = sol.groupDetails.map((d) => d.combinedWeight);
-      score -= balanceGroupWeightsFactor * variance(combinedWeights);
+  const at = positions.map(() => -1);
+  for (const [gi, p] of fixed) at[p] = gi;
+  const order = groups.map((_, gi) => gi)
+    .filter((gi) => !fixed.has(gi))
+    .sort((a, b) => between[b].reduce((s, w) => s + w, 0) - between[a].reduce((s, w) => s + w, 0));
+  for (const gi of order) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let p = 0; p < at.length; p++) {
+      if (at[p] !== -1) continue;
+      at[p] = gi;
+      const s = score(at);
+      at[p] = -1;
+      if (s > bestScore + 1e-9) {
+        best = p;
+        bestScore = s;
+      }
     }
-    return score;
+    at[best] = gi;
   }
 
-  function addSolution(groups, freeNodes = []) {
-    if (solutionHasDuplicateNodes(groups, freeNodes, totalNodeCount)) return;
-    const key = solutionKey(groups, freeNodes);
-    if (seen.has(key)) return;
-    seen.add(key);
-
-    const details = buildGroupDetails(groups, linkMatrix, nodesById, symmetricLinks);
-    const totalWeight = details.reduce((s, d) => s + d.combinedWeight, 0);
-    solutions.push({
-      groups: groups.map((g) => [...g]),
-      freeNodes: [...freeNodes],
-      totalWeight,
-      groupDetails: details,
-    });
-
-    solutions.sort((a, b) => solutionScore(b) - solutionScore(a));
-    if (solutions.length > 10) solutions.length = 10;
+  const movable = positions.map((_, p) => p).filter((p) => ![...fixed.values()].includes(p));
+  let current = score(at);
+  for (let round = 0, improved = true; improved && round < 100; round++) {
+    improved = false;
+    for (let a = 0; a < movable.length; a++) {
+      for (let b = a + 1; b < movable.length; b++) {
+        const p = movable[a];
+        const q = movable[b];
+        if (at[p] === -1 && at[q] === -1) continue;
+        [at[p], at[q]] = [at[q], at[p]];
+        const s = score(at);
+        if (s > current + 1e-9) {
+          current = s;
+          improved = true;
+        } else {
+          [at[p], at[q]] = [at[q], at[p]];
+        }
+      }
+    }
   }
 
-  const isSmall = ids.length <= (allowFreeNodes ? 12 : 16);
+  const placements = [];
+  at.forEach((gi, p) => {
+    if (gi !== -1) placements.push({ groupIndex: gi, positionId: positions[p].id });
+  });
+  placements.sort((x, y) => x.groupIndex - y.groupIndex);
+  return { placements, score: current, errors: [] };
+}
+
+// ── Seat arrangement ────────────────────────────────────────────────────────
 
-  if (numFixed === 0) {
-    if (isSmall) {
-      exhaustiveSearch(ids, nodesById, linkMatrix, minCombined, maxCombined, addSolution, allowFreeNodes, symmetricLinks);
+/**
+ * Orders the members of one group around its table so that neighbors like each other. `group`
+ * lists node ids (one seat each) or nodes ({ id, nodeWeight }); a node takes nodeWeight seats
+ * (rounded, at least one; primaryResource picks the amount of a resource weight) and keeps
+ * them contiguous. options.shape:
+ *   round        – (default) seats in a circle, each next to the two beside it
+ *   rectangular  – two facing rows, each seat next to the ones beside it and the one across
+ * Seats are numbered around the table (along one row, then back along the other), so a
+ * composite node may turn a corner but never splits. Returns { seats: [nodeId per seat], score }
+ * with score the summed link weight between neighboring seats of different nodes;
+ * linkAggregation applies as in computeGroups. Every order is tried for up to 8 members at a
+ * round table (7 at a rectangular one); larger tables use a greedy start polished by swaps and
+ * reversals.
+ */
+export function arrangeSeats(group, linkMatrix, options = {}) {
+  const { shape = 'round' } = options;
+  const members = normalizeNodes(group.map((m) => (typeof m === 'object' ? m : { id: m, nodeWeight: 1 })), options)
+    .map((n) => ({ id: n.id, size: Math.max(1, Math.round(Number(n.nodeWeight) || 0)) }));
+  const links = buildLinks(members.map((m) => m.id), linkMatrix, resolveLinkAggregation(options));
+  const pairs = seatPairs(members.reduce((s, m) => s + m.size, 0), shape);
+
+  const seatsOf = (order) => order.flatMap((u) => Array(members[u].size).fill(members[u].id));
+  const score = (order) => {
+    const seats = seatsOf(order);
+    let total = 0;
+    for (const [a, b] of pairs) {
+      if (seats[a] !== seats[b]) total += links.weight(seats[a], seats[b]);
     }
-    for (let seed = 0; seed < 20; seed++) {
-      const result = greedyBuild(ids, nodesById, linkMatrix, minCombined, maxCombined, seed, allowFreeNodes, symmetricLinks);
-      if (result) {
-        addSolution(result.groups, result.freeNodes);
-        const improved = localSearch(
-          result.groups, result.freeNodes, ids, nodesById, linkMatrix,
-          minCombined, maxCombined, allowFreeNodes, symmetricLinks, 0
-        );
-        if (improved) addSolution(improved.groups, improved.freeNodes);
+    return total;
+  };
+
+  let best = members.map((_, u) => u);
+  let bestScore = score(best);
+  // Rotating a round table changes nothing, so its first member stays put
+  const fixedFirst = shape === 'rectangular' ? 0 : 1;
+  if (members.length - fixedFirst <= 7) {
+    const permute = (order, k) => {
+      if (k === order.length) {
+        const s = score(order);
+        if (s > bestScore + 1e-9) {
+          best = order.slice();
+          bestScore = s;
+        }
+        return;
       }
-    }
+      for (let i = k; i < order.length; i++) {
+        [order[k], order[i]] = [order[i], order[k]];
+        permute(order, k + 1);
+        [order[k], order[i]] = [order[i], order[k]];
+      }
+    };
+    permute(best.slice(), fixedFirst);
   } else {
-    for (let seed = 0; seed < 20; seed++) {
-      const result = greedyBuildWithFixed(freeIds, fixedGroups, nodesById, linkMatrix, minCombined, maxCombined, seed, allowFreeNodes, symmetricLinks);
-      if (result) {
-        addSolution(result.groups, result.freeNodes);
-        const improved = localSearch(
-          result.groups, result.freeNodes, ids, nodesById, linkMatrix,
-          minCombined, maxCombined, allowFreeNodes, symmetricLinks, fixedGroups
-        );
-        if (improved) addSolution(improved.groups, improved.freeNodes);
+    const linkTotal = (u) => links.linkSum(members[u].id, members.map((m) => m.id));
+    const left = new Set(best);
+    const start = best.reduce((a, u) => (linkTotal(u) > linkTotal(a) ? u : a));
+    const order = [start];
+    left.delete(start);
+    while (left.size > 0) {
+      const last = members[order[order.length - 1]].id;
+      const next = [...left].reduce((a, u) => (links.weight(last, members[u].id) > links.weight(last, members[a].id) ? u : a));
+      order.push(next);
+      left.delete(next);
+    }
+    best = order;
+    bestScore = score(order);
+    for (let round = 0, improved = true; improved && round < 100; round++) {
+      improved = false;
+      for (let i = 0; i < best.length; i++) {
+        for (let j = i + 1; j < best.length; j++) {
+          const swapped = best.slice();
+          [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+          const reversed = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+          for (const candidate of [swapped, reversed]) {
+            const s = score(candidate);
+            if (s > bestScore + 1e-9) {
+              best = candidate;
+              bestScore = s;
+              improved = true;
+            }
+          }
+        }
       }
     }
   }
+  return { seats: seatsOf(best), score: bestScore };
+}
+
+/** Neighboring seat index pairs of a table with `count` seats numbered around it. */
+function seatPairs(count, shape) {
+  const pairs = [];
+  if (shape !== 'rectangular') {
+    if (count === 2) pairs.push([0, 1]);
+    if (count > 2) for (let i = 0; i < count; i++) pairs.push([i, (i + 1) % count]);
+    return pairs;
+  }
+  // Seats 0..top-1 run left to right along one side, the rest right to left along the other
+  const top = Math.ceil(count / 2);
+  for (let i = 0; i + 1 < count; i++) {
+    if (i !== top - 1) pairs.push([i, i + 1]);
+  }
+  for (let col = 0; col < top; col++) {
+    const across = top + (top - 1 - col);
+    if (across < count) pairs.push([col, across]);
+  }
+  return pairs;
+}
 
-  pruneWastefulSolutions(solutions, linkMatrix, symmetricLinks);
+// ── Multi-round grouping ────────────────────────────────────────────────────
 
-  if (balanceGroupWeightsFactor > 0) {
-    solutions.sort((a, b) => solutionScore(b) - solutionScore(a));
+/**
+ * Several rounds of groups over the same nodes (workshops, recurring lunches) in which nodes
+ * meet as many new people as possible. Each round is a computeGroups run whose pair weights
+ * drop by repeatPenalty for every earlier round in which the pair shared a group, starting
+ * from options.history (past rounds, each a list of groups or a solution with `groups`).
+ * Options: rounds (default 2), repeatPenalty (default: the mean absolute link weight, 1
+ * without links) and any computeGroups option; onProgress also receives the 0-based `round`.
+ * pruning defaults to 'off' here: a penalized repeat still counts as a link, so 'wasteful'
+ * would prefer old acquaintances over strangers.
+ * Returns { rounds: [solution], repeats, errors }: each round's best solution, scored with the
+ * unpenalized link weights and listing its `repeatedPairs` ([a, b] pairs that met before);
+ * `repeats` counts those pairs over all rounds. A round without a solution ends the schedule
+ * there, with its errors.
+ */
+export function computeRounds(nodes, linkMatrix, minCombined, maxCombined, options = {}) {
+  const { rounds = 2, history = [], onProgress = null } = options;
+  const nodeIds = nodes.map((n) => n.id);
+  const idSet = new Set(nodeIds);
+  const links = buildLinks(nodeIds, linkMatrix, resolveLinkAggregation(options));
+  const { repeatPenalty = links.meanAbsWeight() } = options;
+  const errors = [];
+  if (!Number.isInteger(rounds) || rounds < 1) errors.push('rounds must be a positive integer.');
+  if (!Number.isFinite(repeatPenalty) || repeatPenalty < 0) errors.push('repeatPenalty must be a non-negative number.');
+  if (!Array.isArray(history)) errors.push('history must be a list of past rounds.');
+  if (errors.length > 0) return { rounds: [], repeats: 0, errors };
+
+  // "a|b" (a < b) → number of rounds the pair shared a group so far
+  const met = new Map();
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+  const pairsOf = (groups) => groups.flatMap((g) => g.flatMap((a, i) => g.slice(i + 1).map((b) => [a, b])));
+  const record = (groups) => {
+    for (const [a, b] of pairsOf(groups)) {
+      if (idSet.has(a) && idSet.has(b)) met.set(pairKey(a, b), (met.get(pairKey(a, b)) ?? 0) + 1);
+    }
+  };
+  for (const past of history) record(Array.isArray(past) ? past : past?.groups ?? []);
+
+  const schedule = [];
+  let repeats = 0;
+  for (let round = 0; round < rounds; round++) {
+    // Pair weights as computeGroups would aggregate them, minus the repeat penalty, in both directions
+    const matrix = {};
+    for (const a of nodeIds) links.forEachNeighbor(a, (b, w) => { matrix[`${a}|${b}`] = w; });
+    for (const [key, count] of met) {
+      const [a, b] = key.split('|');
+      matrix[`${a}|${b}`] = matrix[`${b}|${a}`] = links.weight(a, b) - repeatPenalty * count;
+    }
+    const result = computeGroups(nodes, matrix, minCombined, maxCombined, {
+      ...options,
+      linkAggregation: 'either',
+      pruning: options.pruning ?? 'off',
+      onProgress: onProgress && ((progress) => onProgress({ ...progress, round })),
+    });
+    if (result.solutions.length === 0) {
+      const roundErrors = result.errors.length > 0 ? result.errors : [`Round ${round + 1} has no feasible grouping.`];
+      return { rounds: schedule, repeats, errors: roundErrors };
+    }
+
+    const best = result.solutions[0];
+    const groupDetails = best.groupDetails.map((gd) => ({
+      ...gd,
+      combinedWeight: links.edgesAmong(gd.nodeIds).reduce((s, e) => s + e.w, 0),
+    }));
+    const repeatedPairs = pairsOf(best.groups).filter(([a, b]) => met.has(pairKey(a, b)));
+    repeats += repeatedPairs.length;
+    record(best.groups);
+    schedule.push({
+      ...best,
+      totalWeight: groupDetails.reduce((s, gd) => s + gd.combinedWeight, 0),
+      groupDetails,
+      repeatedPairs,
+    });
   }
+  return { rounds: schedule, repeats, errors: [] };
+}
 
-  const optimal = isSmall && numFixed === 0 && solutions.length > 0;
+// ── Connected components ────────────────────────────────────────────────────
 
-  return { solutions, optimal, errors: [] };
+/**
+ * Connected components of the link graph (pairs with a non-zero weight), with
+ * every fixed group / must-link cluster kept inside one component. Components
+ * are listed in the order of their first node in `ids`.
+ */
+function linkComponents(ids, links, fixedGroups) {
+  const parent = new Map(ids.map((id) => [id, id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  for (const id of ids) links.forEachNeighbor(id, (other) => union(id, other));
+  for (const g of fixedGroups) {
+    for (const id of g.slice(1)) union(g[0], id);
+  }
+  const byRoot = new Map();
+  for (const id of ids) {
+    const root = find(id);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(id);
+  }
+  return [...byRoot.values()];
 }
 
-// ── Solution pruning ────────────────────────────────────────────────────────
+/**
+ * Best partition of one component into sub-groups of at most `maxCombined`
+ * (no minimum: packSubgroups combines them), maximizing plain totalWeight with
+ * the component's own fixed groups, never-together pairs and resource maximums.
+ * `budget` ({ seeds, exactTimeLimitMs }) is this component's share
+ * of the caller's; annealing is left to the whole instance. Returns
+ * { nodeIds, groups, freeNodes, totalWeight, optimal }, or null.
+ */
+function solveComponent(nodeIds, nodesById, links, fixedGroups, maxCombined, options, budget) {
+  if (nodeIds.length === 1) {
+    return { nodeIds, groups: [nodeIds], freeNodes: [], totalWeight: 0, optimal: true };
+  }
+  const inComponent = new Set(nodeIds);
+  const linkMatrix = {};
+  for (const id of nodeIds) links.forEachNeighbor(id, (other, w) => { linkMatrix[`${id}|${other}`] = w; });
+  const resourceLimits = Object.fromEntries(resolveResourceLimits(options).map(({ name, max }) => [name, { max }]));
+  const { solutions, optimal } = computeGroups(nodeIds.map((id) => nodesById[id]), linkMatrix, 0, maxCombined, {
+    ...options,
+    ...budget,
+    algorithm: 'greedy',
+    linkAggregation: 'either',
+    fixedGroups: fixedGroups.filter((g) => inComponent.has(g[0])),
+    mustLink: [],
+    resourceLimits,
+    groupTemplates: [],
+    groupSlots: [],
+    pinnedNodes: {},
+    groupCount: null,
+    minGroups: null,
+    maxGroups: null,
+    objective: 'totalWeight',
+    bonusPerGroup: 0,
+    balanceGroupWeightsFactor: 0,
+    previousSolution: null,
+    minSolutionDistance: 0,
+    maxSolutions: 1,
+    onProgress: null,
+    onSolution: null,
+  });
+  if (solutions.length === 0) return null;
+  const [{ groups, freeNodes, totalWeight }] = solutions;
+  return { nodeIds, groups, freeNodes, totalWeight, optimal };
+}
 
-function pruneWastefulSolutions(solutions, linkMatrix, symmetricLinks) {
-  if (solutions.length === 0) return;
+/**
+ * Packs component sub-groups into groups within [minCombined, maxCombined]:
+ * first-fit decreasing into the fullest group with room (and constraints.canJoin),
+ * then every group still under the minimum hands its sub-groups to groups with
+ * room, or merges whole into another group. Returns the groups, or null when
+ * this finds no packing that also satisfies the group count and resource limits.
+ */
+function packSubgroups(subgroups, nodesById, constraints, minCombined, maxCombined) {
+  const items = subgroups
+    .map((members) => ({ members, sum: groupNodeWeightSum(members, nodesById) }))
+    .sort((a, b) => b.sum - a.sum);
+  let bins = [];
+  const fullestWithRoom = (item, candidates) => {
+    let best = null;
+    for (const bin of candidates) {
+      if (bin.sum + item.sum > maxCombined || !constraints.canJoin(bin.members, item.members)) continue;
+      if (!best || bin.sum > best.sum) best = bin;
+    }
+    return best;
+  };
 
-  function isWasteful(sol) {
-    return sol.groupDetails.some((gd) => {
-      if (gd.nodeIds.length <= 1) return false;
-      return gd.nodeIds.some((id) =>
-        gd.nodeIds.every((other) => other === id || getLinkWeight(linkMatrix, id, other, symmetricLinks) === 0)
-      );
-    });
+  for (const item of items) {
+    const bin = fullestWithRoom(item, bins);
+    if (bin) {
+      bin.members = [...bin.members, ...item.members];
+      bin.sum += item.sum;
+      bin.items.push(item);
+    } else {
+      bins.push({ members: [...item.members], sum: item.sum, items: [item] });
+    }
   }
 
-  const hasNonWasteful = solutions.some((s) => !isWasteful(s));
-  if (hasNonWasteful) {
-    for (let i = solutions.length - 1; i >= 0; i--) {
-      if (isWasteful(solutions[i])) solutions.splice(i, 1);
+  for (;;) {
+    const under = bins.filter((bin) => bin.sum < minCombined).sort((a, b) => a.sum - b.sum);
+    if (under.length === 0) break;
+    const [bin] = under;
+    const others = bins.filter((other) => other !== bin);
+    const whole = fullestWithRoom(bin, others);
+    // Prefer spreading the sub-groups over groups that already meet the minimum
+    const snapshot = others.map((other) => ({ ...other, items: [...other.items] }));
+    const spread = bin.items.every((item) => {
+      const target = fullestWithRoom(item, snapshot.filter((other) => other.sum >= minCombined));
+      if (!target) return false;
+      target.members = [...target.members, ...item.members];
+      target.sum += item.sum;
+      target.items.push(item);
+      return true;
+    });
+    if (spread) {
+      bins = snapshot;
+    } else if (whole) {
+      whole.members = [...whole.members, ...bin.members];
+      whole.sum += bin.sum;
+      whole.items.push(...bin.items);
+      bins = others;
+    } else {
+      return null;
     }
   }
+
+  const groups = bins.map((bin) => bin.members);
+  return constraints.assign(groups) ? groups : null;
 }
 
 // ── Exhaustive search (small instances) ─────────────────────────────────────
 
-function exhaustiveSearch(ids, nodesById, linkMatrix, minCombined, maxCombined, addSolution, allowFreeNodes, symmetricLinks) {
+function exhaustiveSearch(ids, nodesById, links, constraints, addSolution, allowFreeNodes) {
   const n = ids.length;
-  const maxGroups = n;
+  const maxGroups = Math.min(n, constraints.maxGroupCount);
   const assignment = new Array(n).fill(0);
 
   function recurse(pos) {
@@ -254,10 +2391,7 @@ function exhaustiveSearch(ids, nodesById, linkMatrix, minCombined, maxCombined,
         }
       }
       const groups = Object.values(groupMap);
-      for (const g of groups) {
-        const nwSum = groupNodeWeightSum(g, nodesById);
-        if (nwSum < minCombined || nwSum > maxCombined) return;
-      }
+      if (!constraints.fits(groups)) return;
       addSolution(groups, freeNodes);
       return;
     }
@@ -281,7 +2415,7 @@ function exhaustiveSearch(ids, nodesById, linkMatrix, minCombined, maxCombined,
       for (let i = 0; i <= pos; i++) {
         if (assignment[i] === g) currentGroup.push(ids[i]);
       }
-      if (groupNodeWeightSum(currentGroup, nodesById) <= maxCombined) {
+      if (groupNodeWeightSum(currentGroup, nodesById) <= constraints.maxSize && constraints.canJoin(currentGroup, [ids[pos]])) {
         recurse(pos + 1);
       }
     }
@@ -297,20 +2431,163 @@ function exhaustiveSearch(ids, nodesById, linkMatrix, minCombined, maxCombined,
   recurse(0);
 }
 
+// ── Branch and bound (medium instances) ─────────────────────────────────────
+
+/**
+ * Depth-first branch and bound over `units` (fixed groups / must-link
+ * clusters, and single free nodes). Each unit joins an existing group, opens
+ * the next group (so every partition is visited once) or, for single nodes
+ * when allowFreeNodes is set, stays free. A branch is cut when its upper bound
+ * on totalWeight + bonusPerGroup × groups cannot beat `bestScore()`.
+ *
+ * The bound gives every unplaced unit its best choice of group: the positive
+ * links to that group's members, plus half of its strongest positive links to
+ * as many other unplaced units as the group still has room for (each pair is
+ * then counted at most once overall). When the node or time budget runs out,
+ * unexplored branches still contribute their bound. `onTick` is called every
+ * 1024 search nodes. Returns { complete, bound }.
+ */
+function branchAndBound(units, nodesById, links, constraints, addSolution, bestScore, allowFreeNodes, bonusPerGroup, budget, onTick = () => {}) {
+  const unitWeight = (u) => groupNodeWeightSum(u, nodesById);
+  const linkBetween = (a, b) => a.reduce((s, x) => s + links.linkSum(x, b), 0);
+  // Strongly linked, heavy units first so good incumbents and tight bounds come early
+  const strength = units.map((u) => units.reduce((s, v) => (v === u ? s : s + Math.abs(linkBetween(u, v))), 0));
+  const order = units.map((_, i) => i).sort((a, b) => strength[b] - strength[a] || unitWeight(units[b]) - unitWeight(units[a]));
+  const items = order.map((i) => units[i]);
+  const n = items.length;
+  const weights = items.map(unitWeight);
+  const inner = items.map((u) => groupCombinedWeight(u, links));
+  const w = items.map((a) => items.map((b) => (a === b ? 0 : linkBetween(a, b))));
+
+  const remainingWeight = new Array(n + 1).fill(0);
+  for (let d = n - 1; d >= 0; d--) remainingWeight[d] = remainingWeight[d + 1] + weights[d];
+  const lightest = Math.max(Math.min(...weights), 1e-9);
+  // strongest[u]: other items with a positive link to u, strongest first
+  const strongest = items.map((_, u) => items.map((_, v) => v).filter((v) => v !== u && w[u][v] > 0).sort((a, b) => w[u][b] - w[u][a]));
+  const innerTotal = inner.reduce((s, x) => s + x, 0);
+
+  const groups = [];
+  const groupSums = [];
+  const free = [];
+  // toGroup[u][g]: positive link sum from item u to the members of group g
+  const toGroup = items.map(() => []);
+  let current = innerTotal;
+  let visited = 0;
+  let exhausted = false;
+  let frontier = -Infinity;
+  const deadline = Date.now() + budget.timeLimitMs;
+
+  /** Half the sum of u's `k` strongest positive links to items placed after depth d. */
+  function halfTop(u, d, k) {
+    let sum = 0;
+    for (const v of strongest[u]) {
+      if (k <= 0) break;
+      if (v < d) continue;
+      sum += w[u][v];
+      k--;
+    }
+    return sum / 2;
+  }
+
+  function upperBound(d) {
+    let ub = current;
+    for (let u = d; u < n; u++) {
+      const room = (cap) => Math.floor((cap - weights[u]) / lightest + 1e-9);
+      let best = groups.length < constraints.maxGroupCount ? halfTop(u, d, room(constraints.maxSize)) : -Infinity;
+      for (let g = 0; g < groups.length; g++) {
+        if (groupSums[g] + weights[u] > constraints.maxSize) continue;
+        best = Math.max(best, toGroup[u][g] + halfTop(u, d, room(constraints.maxSize - groupSums[g])));
+      }
+      ub += Math.max(best, 0);
+    }
+    const maxGroups = Math.min(constraints.maxGroupCount, groups.length + (n - d));
+    return ub + Math.max(bonusPerGroup * groups.length, bonusPerGroup * maxGroups);
+  }
+
+  function place(d, g) {
+    for (let u = d + 1; u < n; u++) {
+      if (g === toGroup[u].length) toGroup[u].push(0);
+      toGroup[u][g] += Math.max(0, w[u][d]);
+    }
+    for (const x of groups[g]) current += w[d][x];
+    groups[g].push(d);
+    groupSums[g] += weights[d];
+  }
+
+  function unplace(d, g) {
+    groups[g].pop();
+    groupSums[g] -= weights[d];
+    for (const x of groups[g]) current -= w[d][x];
+    for (let u = d + 1; u < n; u++) toGroup[u][g] -= Math.max(0, w[u][d]);
+  }
+
+  function toIds(group) {
+    return group.flatMap((i) => items[i]);
+  }
+
+  function recurse(d) {
+    const ub = upperBound(d);
+    if (ub <= bestScore() + 1e-9) return;
+    if (!exhausted && visited % 1024 === 0) onTick();
+    if (exhausted || ++visited > budget.nodeLimit || (visited % 1024 === 0 && Date.now() > deadline)) {
+      exhausted = true;
+      frontier = Math.max(frontier, ub);
+      return;
+    }
+    if (groups.length + (n - d) < constraints.minGroupCount) return;
+    if (!allowFreeNodes) {
+      const deficit = groupSums.reduce((s, sum) => s + Math.max(0, constraints.minSize - sum), 0);
+      if (deficit > remainingWeight[d]) return;
+    }
+
+    if (d === n) {
+      const idGroups = groups.map(toIds);
+      if (constraints.fits(idGroups)) addSolution(idGroups, free.flatMap((i) => items[i]));
+      return;
+    }
+
+    const ids = items[d];
+    const candidates = groups
+      .map((_, g) => g)
+      .filter((g) => groupSums[g] + weights[d] <= constraints.maxSize && constraints.canJoin(toIds(groups[g]), ids))
+      .sort((a, b) => groups[b].reduce((s, x) => s + w[d][x], 0) - groups[a].reduce((s, x) => s + w[d][x], 0));
+    for (const g of candidates) {
+      place(d, g);
+      recurse(d + 1);
+      unplace(d, g);
+    }
+
+    if (groups.length < constraints.maxGroupCount && weights[d] <= constraints.maxSize) {
+      groups.push([]);
+      groupSums.push(0);
+      place(d, groups.length - 1);
+      recurse(d + 1);
+      unplace(d, groups.length - 1);
+      groups.pop();
+      groupSums.pop();
+      for (let u = d + 1; u < n; u++) toGroup[u].pop();
+    }
+
+    if (allowFreeNodes && ids.length === 1 && !constraints.isPinned(ids[0])) {
+      free.push(d);
+      recurse(d + 1);
+      free.pop();
+    }
+  }
+
+  recurse(0);
+  return { complete: !exhausted, bound: exhausted ? Math.max(frontier, bestScore()) : bestScore() };
+}
+
 // ── Greedy build ────────────────────────────────────────────────────────────
 
-function greedyBuild(ids, nodesById, linkMatrix, minCombined, maxCombined, seed, allowFreeNodes, symmetricLinks) {
+function greedyBuild(ids, nodesById, links, constraints, seed, allowFreeNodes) {
   const shuffled = shuffleWithSeed([...ids], seed);
   const groups = [];
+  const slots = [];
   const assigned = new Set();
 
-  const edges = [];
-  for (let i = 0; i < ids.length; i++) {
-    for (let j = i + 1; j < ids.length; j++) {
-      const w = getLinkWeight(linkMatrix, ids[i], ids[j], symmetricLinks);
-      if (w !== 0) edges.push({ a: ids[i], b: ids[j], w });
-    }
-  }
+  const edges = links.edgesAmong(ids);
 
   const rng = mulberry32(seed);
   edges.sort((x, y) => {
@@ -324,8 +2601,10 @@ function greedyBuild(ids, nodesById, linkMatrix, minCombined, maxCombined, seed,
 
     if (!assigned.has(a) && !assigned.has(b)) {
       const nwSum = nodesById[a].nodeWeight + nodesById[b].nodeWeight;
-      if (nwSum <= maxCombined) {
+      const slot = constraints.canJoin([a], [b]) ? constraints.openSlot(slots, nwSum) : -1;
+      if (slot !== -1) {
         groups.push([a, b]);
+        slots.push(slot);
         assigned.add(a);
         assigned.add(b);
         continue;
@@ -336,14 +2615,9 @@ function greedyBuild(ids, nodesById, linkMatrix, minCombined, maxCombined, seed,
     const outside = assigned.has(a) ? b : a;
     if (assigned.has(outside)) continue;
 
-    for (const g of groups) {
-      if (!g.includes(inGroup)) continue;
-      const newSum = groupNodeWeightSum(g, nodesById) + nodesById[outside].nodeWeight;
-      if (newSum <= maxCombined) {
-        g.push(outside);
-        assigned.add(outside);
-        break;
-      }
+    const gi = groups.findIndex((g) => g.includes(inGroup));
+    if (gi !== -1 && tryAddToGroup(groups, slots, gi, outside, nodesById, constraints)) {
+      assigned.add(outside);
     }
   }
 
@@ -352,55 +2626,60 @@ function greedyBuild(ids, nodesById, linkMatrix, minCombined, maxCombined, seed,
   for (const id of shuffled) {
     if (assigned.has(id)) continue;
 
-    if (allowFreeNodes && !nodeHasAnyLink(id, ids, linkMatrix, symmetricLinks)) {
+    if (allowFreeNodes && !links.hasAnyLink(id)) {
       freeNodes.push(id);
       continue;
     }
 
     let placed = false;
-    for (const g of groups) {
-      const newSum = groupNodeWeightSum(g, nodesById) + nodesById[id].nodeWeight;
-      if (newSum <= maxCombined) {
-        g.push(id);
+    for (let gi = 0; gi < groups.length; gi++) {
+      if (tryAddToGroup(groups, slots, gi, id, nodesById, constraints)) {
         assigned.add(id);
         placed = true;
         break;
       }
     }
     if (!placed) {
+      const slot = constraints.openSlot(slots, nodesById[id].nodeWeight);
       if (allowFreeNodes) {
         freeNodes.push(id);
-      } else {
+      } else if (slot !== -1) {
         groups.push([id]);
+        slots.push(slot);
         assigned.add(id);
+      } else {
+        return null;
       }
     }
   }
 
   // Check min constraint — try to merge small groups
-  const hasUnderMin = groups.some((g) => groupNodeWeightSum(g, nodesById) < minCombined);
-  if (hasUnderMin) {
-    const merged = mergeSmallGroups(groups, nodesById, minCombined, maxCombined, allowFreeNodes, freeNodes);
-    if (!merged) return null;
-    return merged;
+  let result = { groups, slots, freeNodes };
+  if (hasGroupUnderMin(groups, slots, nodesById, constraints)) {
+    result = mergeSmallGroups(groups, slots, nodesById, constraints, allowFreeNodes, freeNodes);
+    if (!result) return null;
+  }
+  if (result.groups.length < constraints.minGroupCount) {
+    result = splitToMinGroups(result, nodesById, links, constraints);
+    if (!result) return null;
   }
 
-  return { groups, freeNodes };
+  return { groups: result.groups, freeNodes: result.freeNodes };
 }
 
-function greedyBuildWithFixed(freeIds, fixedGroups, nodesById, linkMatrix, minCombined, maxCombined, seed, allowFreeNodes, symmetricLinks) {
+function greedyBuildWithFixed(freeIds, fixedGroups, nodesById, links, constraints, seed, allowFreeNodes) {
   const groups = fixedGroups.map((g) => [...g]);
+  const slots = [];
+  for (const g of groups) {
+    const slot = constraints.openSlot(slots, groupNodeWeightSum(g, nodesById));
+    if (slot === -1) return null;
+    slots.push(slot);
+  }
   const assigned = new Set(groups.flat());
   const allIds = [...new Set([...freeIds, ...assigned])];
   const freeSet = new Set(freeIds);
 
-  const edges = [];
-  for (let i = 0; i < allIds.length; i++) {
-    for (let j = i + 1; j < allIds.length; j++) {
-      const w = getLinkWeight(linkMatrix, allIds[i], allIds[j], symmetricLinks);
-      if (w !== 0) edges.push({ a: allIds[i], b: allIds[j], w });
-    }
-  }
+  const edges = links.edgesAmong(allIds);
 
   const rng = mulberry32(seed);
   edges.sort((x, y) => {
@@ -415,22 +2694,19 @@ function greedyBuildWithFixed(freeIds, fixedGroups, nodesById, linkMatrix, minCo
     const inGroup = assigned.has(a) ? a : assigned.has(b) ? b : null;
     const outside = inGroup === a ? b : inGroup === b ? a : null;
     if (inGroup !== null && outside !== null) {
-      for (const g of groups) {
-        if (!g.includes(inGroup)) continue;
-        const newSum = groupNodeWeightSum(g, nodesById) + nodesById[outside].nodeWeight;
-        if (newSum <= maxCombined) {
-          g.push(outside);
-          assigned.add(outside);
-          break;
-        }
+      const gi = groups.findIndex((g) => g.includes(inGroup));
+      if (gi !== -1 && tryAddToGroup(groups, slots, gi, outside, nodesById, constraints)) {
+        assigned.add(outside);
       }
       continue;
     }
 
     if (!assigned.has(a) && !assigned.has(b) && freeSet.has(a) && freeSet.has(b)) {
       const nwSum = nodesById[a].nodeWeight + nodesById[b].nodeWeight;
-      if (nwSum <= maxCombined) {
+      const slot = constraints.canJoin([a], [b]) ? constraints.openSlot(slots, nwSum) : -1;
+      if (slot !== -1) {
         groups.push([a, b]);
+        slots.push(slot);
         assigned.add(a);
         assigned.add(b);
       }
@@ -442,43 +2718,49 @@ function greedyBuildWithFixed(freeIds, fixedGroups, nodesById, linkMatrix, minCo
   for (const id of shuffledFree) {
     if (assigned.has(id)) continue;
 
-    if (allowFreeNodes && !nodeHasAnyLink(id, allIds, linkMatrix, symmetricLinks)) {
+    if (allowFreeNodes && !links.hasAnyLink(id)) {
       freeNodes.push(id);
       continue;
     }
 
     let placed = false;
-    for (const g of groups) {
-      const newSum = groupNodeWeightSum(g, nodesById) + nodesById[id].nodeWeight;
-      if (newSum <= maxCombined) {
-        g.push(id);
+    for (let gi = 0; gi < groups.length; gi++) {
+      if (tryAddToGroup(groups, slots, gi, id, nodesById, constraints)) {
         assigned.add(id);
         placed = true;
         break;
       }
     }
     if (!placed) {
+      const slot = constraints.openSlot(slots, nodesById[id].nodeWeight);
       if (allowFreeNodes) {
         freeNodes.push(id);
-      } else {
+      } else if (slot !== -1) {
         groups.push([id]);
+        slots.push(slot);
         assigned.add(id);
+      } else {
+        return null;
       }
     }
   }
 
-  const hasUnderMin = groups.some((g) => groupNodeWeightSum(g, nodesById) < minCombined);
-  if (hasUnderMin) {
-    const merged = mergeSmallGroupsWithFixed(groups, nodesById, minCombined, maxCombined, allowFreeNodes, freeNodes, fixedGroups);
-    if (!merged) return null;
-    return merged;
+  let result = { groups, slots, freeNodes };
+  if (hasGroupUnderMin(groups, slots, nodesById, constraints)) {
+    result = mergeSmallGroupsWithFixed(groups, slots, nodesById, constraints, allowFreeNodes, freeNodes, fixedGroups);
+    if (!result) return null;
+  }
+  if (result.groups.length < constraints.minGroupCount) {
+    result = splitToMinGroups(result, nodesById, links, constraints, new Set(fixedGroups.flat()));
+    if (!result) return null;
   }
 
-  return { groups, freeNodes };
+  return { groups: result.groups, freeNodes: result.freeNodes };
 }
 
-function mergeSmallGroupsWithFixed(groups, nodesById, minCombined, maxCombined, allowFreeNodes, freeNodes, fixedGroupsParam) {
+function mergeSmallGroupsWithFixed(groups, slots, nodesById, constraints, allowFreeNodes, freeNodes, fixedGroupsParam) {
   let merged = groups.map((g) => [...g]);
+  let mergedSlots = [...slots];
   let free = [...(freeNodes || [])];
   let changed = true;
   const fixedGroupIds = new Set((fixedGroupsParam || []).flat());
@@ -486,16 +2768,27 @@ function mergeSmallGroupsWithFixed(groups, nodesById, minCombined, maxCombined,
   while (changed) {
     changed = false;
     for (let i = 0; i < merged.length; i++) {
-      if (groupNodeWeightSum(merged[i], nodesById) >= minCombined) continue;
+      const sum = groupNodeWeightSum(merged[i], nodesById);
+      if (sum >= constraints.minOf(mergedSlots[i])) continue;
+      // A smaller template that is still free may accept the group as it is
+      const refit = constraints.fitSlot(mergedSlots, sum, [i]);
+      if (refit !== -1 && constraints.minOf(refit) <= sum) {
+        mergedSlots[i] = refit;
+        changed = true;
+        break;
+      }
       let didMerge = false;
       for (let j = 0; j < merged.length; j++) {
-        if (i === j) continue;
+        if (i === j || !constraints.canJoin(merged[i], merged[j])) continue;
         const combined = [...merged[i], ...merged[j]];
-        if (groupNodeWeightSum(combined, nodesById) <= maxCombined) {
+        const slot = constraints.fitSlot(mergedSlots, groupNodeWeightSum(combined, nodesById), [i, j]);
+        if (slot !== -1) {
           const at = Math.min(i, j);
           const rm = Math.max(i, j);
           merged[at] = combined;
+          mergedSlots[at] = slot;
           merged.splice(rm, 1);
+          mergedSlots.splice(rm, 1);
           if (rm <= i) i--;
           changed = true;
           didMerge = true;
@@ -506,6 +2799,7 @@ function mergeSmallGroupsWithFixed(groups, nodesById, minCombined, maxCombined,
       if (!didMerge && allowFreeNodes && !groupHasFixed) {
         free.push(...merged[i]);
         merged.splice(i, 1);
+        mergedSlots.splice(i, 1);
         i--;
         changed = true;
       }
@@ -513,30 +2807,39 @@ function mergeSmallGroupsWithFixed(groups, nodesById, minCombined, maxCombined,
     }
   }
 
-  for (const g of merged) {
-    const s = groupNodeWeightSum(g, nodesById);
-    if (s < minCombined || s > maxCombined) return null;
-  }
+  if (hasGroupUnderMin(merged, mergedSlots, nodesById, constraints)) return null;
 
-  return { groups: merged, freeNodes: free };
+  return { groups: merged, slots: mergedSlots, freeNodes: free };
 }
 
-function mergeSmallGroups(groups, nodesById, minCombined, maxCombined, allowFreeNodes, freeNodes) {
+function mergeSmallGroups(groups, slots, nodesById, constraints, allowFreeNodes, freeNodes) {
   let merged = groups.map((g) => [...g]);
+  let mergedSlots = [...slots];
   let free = [...(freeNodes || [])];
   let changed = true;
 
   while (changed) {
     changed = false;
     for (let i = 0; i < merged.length; i++) {
-      if (groupNodeWeightSum(merged[i], nodesById) >= minCombined) continue;
+      const sum = groupNodeWeightSum(merged[i], nodesById);
+      if (sum >= constraints.minOf(mergedSlots[i])) continue;
+      // A smaller template that is still free may accept the group as it is
+      const refit = constraints.fitSlot(mergedSlots, sum, [i]);
+      if (refit !== -1 && constraints.minOf(refit) <= sum) {
+        mergedSlots[i] = refit;
+        changed = true;
+        break;
+      }
       let didMerge = false;
       for (let j = 0; j < merged.length; j++) {
-        if (i === j) continue;
+        if (i === j || !constraints.canJoin(merged[i], merged[j])) continue;
         const combined = [...merged[i], ...merged[j]];
-        if (groupNodeWeightSum(combined, nodesById) <= maxCombined) {
+        const slot = constraints.fitSlot(mergedSlots, groupNodeWeightSum(combined, nodesById), [i, j]);
+        if (slot !== -1) {
           merged[i] = combined;
+          mergedSlots[i] = slot;
           merged.splice(j, 1);
+          mergedSlots.splice(j, 1);
           if (j < i) i--;
           changed = true;
           didMerge = true;
@@ -547,6 +2850,7 @@ function mergeSmallGroups(groups, nodesById, minCombined, maxCombined, allowFree
         // Can't merge this under-min group — free its nodes
         free.push(...merged[i]);
         merged.splice(i, 1);
+        mergedSlots.splice(i, 1);
         i--;
         changed = true;
       }
@@ -554,20 +2858,150 @@ function mergeSmallGroups(groups, nodesById, minCombined, maxCombined, allowFree
     }
   }
 
-  for (const g of merged) {
-    const s = groupNodeWeightSum(g, nodesById);
-    if (s < minCombined || s > maxCombined) return null;
+  if (hasGroupUnderMin(merged, mergedSlots, nodesById, constraints)) return null;
+
+  return { groups: merged, slots: mergedSlots, freeNodes: free };
+}
+
+/**
+ * Opens new groups until minGroups is reached. Each new group is filled from
+ * free nodes first, then from donor groups that stay within their own bounds,
+ * picking the node with the best links to the new group against its losses.
+ */
+function splitToMinGroups({ groups, slots, freeNodes }, nodesById, links, constraints, fixedNodeIds = new Set()) {
+  const result = groups.map((g) => [...g]);
+  const resultSlots = [...slots];
+  let free = [...freeNodes];
+
+  while (result.length < constraints.minGroupCount) {
+    const slot = constraints.emptySlot(resultSlots);
+    if (slot === -1) return null;
+    const fresh = [];
+    let freshSum = 0;
+
+    while (fresh.length === 0 || freshSum < constraints.minOf(slot)) {
+      let best = null;
+      const consider = (id, src) => {
+        const w = nodesById[id].nodeWeight;
+        if (freshSum + w > constraints.maxOf(slot) || !constraints.canJoin(fresh, [id])) return;
+        const loss = src === -1 ? 0 : links.linkSum(id, result[src]);
+        const gain = links.linkSum(id, fresh) - loss;
+        if (!best || gain > best.gain) best = { id, src, gain };
+      };
+      for (const id of free) consider(id, -1);
+      result.forEach((g, gi) => {
+        if (g.length === 1) return;
+        const gSum = groupNodeWeightSum(g, nodesById);
+        for (const id of g) {
+          if (fixedNodeIds.has(id)) continue;
+          if (gSum - nodesById[id].nodeWeight >= constraints.minOf(resultSlots[gi])) consider(id, gi);
+        }
+      });
+      if (!best) return null;
+
+      if (best.src === -1) free = free.filter((id) => id !== best.id);
+      else result[best.src] = result[best.src].filter((id) => id !== best.id);
+      fresh.push(best.id);
+      freshSum += nodesById[best.id].nodeWeight;
+    }
+
+    result.push(fresh);
+    resultSlots.push(slot);
+  }
+
+  return { groups: result, slots: resultSlots, freeNodes: free };
+}
+
+// ── Warm start ──────────────────────────────────────────────────────────────
+
+/**
+ * Adapts a previous solution to the current nodes: fixed groups split by the edit are
+ * reunited where most of their members sit, previously free nodes stay free when allowed, and
+ * the remaining nodes join the group they link to most. Returns null when the result is not feasible.
+ */
+function warmStart(previousGroups, previousFree, ids, fixedGroups, nodesById, links, constraints, allowFreeNodes) {
+  const groups = previousGroups.map((g) => [...g]);
+  const groupOf = new Map();
+  groups.forEach((g, gi) => {
+    for (const id of g) groupOf.set(id, gi);
+  });
+
+  for (const fg of fixedGroups) {
+    const counts = new Map();
+    for (const id of fg) {
+      if (groupOf.has(id)) counts.set(groupOf.get(id), (counts.get(groupOf.get(id)) || 0) + 1);
+    }
+    if (counts.size === 0) continue;
+    const target = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+    for (const id of fg) {
+      if (groupOf.get(id) === target) continue;
+      if (groupOf.has(id)) {
+        const from = groups[groupOf.get(id)];
+        from.splice(from.indexOf(id), 1);
+      }
+      groups[target].push(id);
+      groupOf.set(id, target);
+    }
+  }
+
+  const free = [];
+  for (const id of ids) {
+    if (groupOf.has(id)) continue;
+    if (allowFreeNodes && previousFree.includes(id)) {
+      free.push(id);
+      continue;
+    }
+    let bestGi = -1;
+    let bestGain = -Infinity;
+    groups.forEach((g, gi) => {
+      if (!constraints.canJoin(g, [id])) return;
+      if (groupNodeWeightSum(g, nodesById) + nodesById[id].nodeWeight > constraints.maxSize) return;
+      const gain = g.reduce((sum, other) => sum + links.weight(id, other), 0);
+      if (gain > bestGain) {
+        bestGain = gain;
+        bestGi = gi;
+      }
+    });
+    if (bestGi !== -1) {
+      groups[bestGi].push(id);
+      groupOf.set(id, bestGi);
+    } else if (allowFreeNodes) {
+      free.push(id);
+    } else {
+      groups.push([id]);
+      groupOf.set(id, groups.length - 1);
+    }
   }
 
-  return { groups: merged, freeNodes: free };
+  const result = groups.filter((g) => g.length > 0);
+  return constraints.fits(result) ? { groups: result, freeNodes: free } : null;
 }
 
 // ── Local search ────────────────────────────────────────────────────────────
 
-function localSearch(initialGroups, initialFreeNodes, ids, nodesById, linkMatrix, minCombined, maxCombined, allowFreeNodes, symmetricLinks, fixedGroupsParam = []) {
+/**
+ * First-improvement local search: move a node (or its whole fixed group) to
+ * another group, free or re-place single nodes when allowFreeNodes is set, and
+ * swap two nodes between groups. Every node's link weight to every group is
+ * kept in a table, so a move is scored in constant time from its change to the
+ * combinedWeight and node weight sum of the groups it touches (under
+ * `scoring.weights`, minus `scoring.penalty(groups)`); only moves that improve
+ * the score are built and checked against the constraints.
+ */
+function localSearch(initialGroups, initialFreeNodes, ids, nodesById, links, constraints, allowFreeNodes, fixedGroupsParam = [], maxRounds = 200, scoring = {}) {
+  const { weights = resolveObjective({}), penalty = null } = scoring;
+  // Total weight plus a per-group bonus changes by the moved link weight alone
+  const linear = !penalty && !weights.minGroupWeight && !weights.linkBalance && !weights.sizeBalance;
   let best = initialGroups.map((g) => [...g]);
   let bestFree = [...(initialFreeNodes || [])];
-  let bestTotal = solutionTotalWeight(best, linkMatrix, symmetricLinks);
+  let combined = [];
+  let sums = [];
+  let toGroup = new Map();
+  const scoreOf = (groups, combinedWeights, nodeWeightSums) => {
+    const score = objectiveScore(weights, combinedWeights, nodeWeightSums);
+    return penalty ? score - penalty(groups) : score;
+  };
+  let bestTotal = 0;
   let improved = true;
 
   const nodeToFixedGroup = new Map();
@@ -575,7 +3009,70 @@ function localSearch(initialGroups, initialFreeNodes, ids, nodesById, linkMatrix
     for (const id of fg) nodeToFixedGroup.set(id, fg);
   }
 
-  for (let iter = 0; iter < 200 && improved; iter++) {
+  /** Recomputes combinedWeights, sums and the node-to-group link table for `best`. */
+  function reindex() {
+    const groupOf = new Map();
+    best.forEach((g, gi) => g.forEach((id) => groupOf.set(id, gi)));
+    toGroup = new Map();
+    for (const id of [...best.flat(), ...bestFree]) {
+      const row = new Float64Array(best.length);
+      links.forEachNeighbor(id, (other, w) => {
+        const gi = groupOf.get(other);
+        if (gi !== undefined) row[gi] += w;
+      });
+      toGroup.set(id, row);
+    }
+    combined = best.map((g) => groupCombinedWeight(g, links));
+    sums = best.map((g) => groupNodeWeightSum(g, nodesById));
+    bestTotal = scoreOf(best, combined, sums);
+  }
+  const linkTo = (unit, gi) => unit.reduce((w, id) => w + toGroup.get(id)[gi], 0);
+
+  /**
+   * Score after `changes`, each { gi, weight, sum, size, members } giving a group's new
+   * combinedWeight, node weight sum, node count and a thunk for its members. Linear
+   * objectives are updated in place; others rebuild only the per-group arrays.
+   */
+  function evaluate(changes) {
+    if (linear) {
+      let total = bestTotal;
+      for (const { gi, weight, size } of changes) {
+        total += weights.totalWeight * (weight - combined[gi]);
+        if (size === 0) total -= weights.groupCount;
+      }
+      return { total, changes };
+    }
+    const next = apply(changes);
+    return { total: scoreOf(next.groups, next.combined, next.sums), changes, next };
+  }
+
+  /** Groups, combinedWeights and sums after `changes`; emptied groups are dropped. */
+  function apply(changes) {
+    const groups = [...best];
+    const nextCombined = [...combined];
+    const nextSums = [...sums];
+    for (const { gi, weight, sum, members } of changes) {
+      groups[gi] = members();
+      nextCombined[gi] = weight;
+      nextSums[gi] = sum;
+    }
+    const kept = (_, gi) => groups[gi].length > 0;
+    return { groups: groups.filter(kept), combined: nextCombined.filter(kept), sums: nextSums.filter(kept) };
+  }
+
+  /** Takes the move if it keeps the solution feasible. */
+  function accept(move, nextFree = bestFree) {
+    const next = move.next || apply(move.changes);
+    if (!constraints.fits(next.groups)) return false;
+    best = next.groups;
+    bestFree = nextFree;
+    reindex();
+    improved = true;
+    return true;
+  }
+
+  reindex();
+  for (let iter = 0; iter < maxRounds && improved; iter++) {
     improved = false;
 
     for (let gi = 0; gi < best.length; gi++) {
@@ -586,89 +3083,37 @@ function localSearch(initialGroups, initialFreeNodes, ids, nodesById, linkMatrix
         if (fixedGroup && nodesToMove.length !== fixedGroup.length) continue;
         if (nodesToMove.length === 0) continue;
 
-        for (let gj = 0; gj < best.length; gj++) {
-          if (gi === gj) continue;
-
-          const srcAfter = best[gi].filter((id) => !nodesToMove.includes(id));
-          const dstAfter = [...best[gj], ...nodesToMove];
-
-          if (srcAfter.length > 0) {
-            const srcSum = groupNodeWeightSum(srcAfter, nodesById);
-            const dstSum = groupNodeWeightSum(dstAfter, nodesById);
-            if (srcSum < minCombined || dstSum > maxCombined) continue;
-
-            const candidate = best.map((g, idx) => {
-              if (idx === gi) return srcAfter;
-              if (idx === gj) return dstAfter;
-              return [...g];
-            });
-            const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-            if (total > bestTotal) {
-              best = candidate;
-              bestTotal = total;
-              improved = true;
-            }
-          } else {
-            const candidate = best
-              .filter((_, idx) => idx !== gi)
-              .map((g, idx) => {
-                const adjustedGj = gj > gi ? gj - 1 : gj;
-                if (idx === adjustedGj) return dstAfter;
-                return [...g];
-              });
-
-            const dstSum = groupNodeWeightSum(dstAfter, nodesById);
-            if (dstSum > maxCombined) continue;
-
-            let valid = true;
-            for (const g of candidate) {
-              const s = groupNodeWeightSum(g, nodesById);
-              if (s < minCombined || s > maxCombined) { valid = false; break; }
-            }
-            if (!valid) continue;
+        const inner = groupCombinedWeight(nodesToMove, links);
+        const moveSum = groupNodeWeightSum(nodesToMove, nodesById);
+        const srcGroup = best[gi];
+        // An emptied source group is dropped from the candidate
+        const src = {
+          gi,
+          weight: combined[gi] + inner - linkTo(nodesToMove, gi),
+          sum: sums[gi] - moveSum,
+          size: srcGroup.length - nodesToMove.length,
+          members: () => srcGroup.filter((id) => !nodesToMove.includes(id)),
+        };
 
-            const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-            if (total > bestTotal) {
-              best = candidate;
-              bestTotal = total;
-              improved = true;
-            }
-          }
+        for (let gj = 0; gj < best.length && !improved; gj++) {
+          if (gi === gj) continue;
+          const dstGroup = best[gj];
+          const dst = {
+            gi: gj,
+            weight: combined[gj] + inner + linkTo(nodesToMove, gj),
+            sum: sums[gj] + moveSum,
+            size: dstGroup.length + nodesToMove.length,
+            members: () => [...dstGroup, ...nodesToMove],
+          };
+          const move = evaluate([src, dst]);
+          if (move.total > bestTotal) accept(move);
         }
 
-        // Try moving node from group to free (only from non-fixed groups)
-        if (allowFreeNodes && gi >= numFixed) {
-          const srcAfter = best[gi].filter((_, idx) => idx !== ni);
-          if (srcAfter.length > 0) {
-            const srcSum = groupNodeWeightSum(srcAfter, nodesById);
-            if (srcSum >= minCombined) {
-              const candidate = best.map((g, idx) => (idx === gi ? srcAfter : [...g]));
-              const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-              if (total > bestTotal) {
-                best = candidate;
-                bestFree = [...bestFree, node];
-                bestTotal = total;
-                improved = true;
-              }
-            }
-          } else {
-            // Group becomes empty — remove it, node goes free
-            const candidate = best.filter((_, idx) => idx !== gi);
-            let valid = true;
-            for (const g of candidate) {
-              const s = groupNodeWeightSum(g, nodesById);
-              if (s < minCombined || s > maxCombined) { valid = false; break; }
-            }
-            if (valid) {
-              const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-              if (total >= bestTotal) {
-                best = candidate;
-                bestFree = [...bestFree, node];
-                bestTotal = total;
-                improved = true;
-              }
-            }
-          }
+        // Try moving node from group to free (fixed-group members stay grouped)
+        if (!improved && allowFreeNodes && !fixedGroup) {
+          const move = evaluate([src]);
+          // Dropping an emptied group is accepted on ties
+          if (move.total > bestTotal || (src.size === 0 && move.total >= bestTotal)) accept(move, [...bestFree, node]);
         }
 
         if (improved) break;
@@ -681,44 +3126,52 @@ function localSearch(initialGroups, initialFreeNodes, ids, nodesById, linkMatrix
       for (let fi = 0; fi < bestFree.length && !improved; fi++) {
         const node = bestFree[fi];
         for (let gj = 0; gj < best.length && !improved; gj++) {
-          const dstAfter = [...best[gj], node];
-          const dstSum = groupNodeWeightSum(dstAfter, nodesById);
-          if (dstSum > maxCombined) continue;
-
-          const candidate = best.map((g, idx) => (idx === gj ? dstAfter : [...g]));
-          const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-          if (total > bestTotal) {
-            best = candidate;
-            bestFree = bestFree.filter((_, idx) => idx !== fi);
-            bestTotal = total;
-            improved = true;
-          }
+          const dstGroup = best[gj];
+          const move = evaluate([{
+            gi: gj,
+            weight: combined[gj] + toGroup.get(node)[gj],
+            sum: sums[gj] + nodesById[node].nodeWeight,
+            size: dstGroup.length + 1,
+            members: () => [...dstGroup, node],
+          }]);
+          if (move.total > bestTotal) accept(move, bestFree.filter((_, idx) => idx !== fi));
         }
       }
     }
 
     if (!improved) {
-      // Try swapping two nodes between different groups (only among non-fixed groups)
-      for (let gi = numFixed; gi < best.length && !improved; gi++) {
+      // Try swapping two nodes between different groups (fixed-group members never swap)
+      for (let gi = 0; gi < best.length && !improved; gi++) {
         for (let gj = gi + 1; gj < best.length && !improved; gj++) {
-          for (let ni = 0; ni < best[gi].length && !improved; ni++) {
-            for (let nj = 0; nj < best[gj].length && !improved; nj++) {
-              const candidate = best.map((g) => [...g]);
-              const tmp = candidate[gi][ni];
-              candidate[gi][ni] = candidate[gj][nj];
-              candidate[gj][nj] = tmp;
-
-              const sA = groupNodeWeightSum(candidate[gi], nodesById);
-              const sB = groupNodeWeightSum(candidate[gj], nodesById);
-              if (sA < minCombined || sA > maxCombined) continue;
-              if (sB < minCombined || sB > maxCombined) continue;
-
-              const total = solutionTotalWeight(candidate, linkMatrix, symmetricLinks);
-              if (total > bestTotal) {
-                best = candidate;
-                bestTotal = total;
-                improved = true;
-              }
+          const groupA = best[gi];
+          const groupB = best[gj];
+          for (let ni = 0; ni < groupA.length && !improved; ni++) {
+            const a = groupA[ni];
+            if (nodeToFixedGroup.has(a)) continue;
+            const aLinks = toGroup.get(a);
+            for (let nj = 0; nj < groupB.length && !improved; nj++) {
+              const b = groupB[nj];
+              if (nodeToFixedGroup.has(b)) continue;
+              const bLinks = toGroup.get(b);
+              const ab = links.weight(a, b);
+              const diff = nodesById[b].nodeWeight - nodesById[a].nodeWeight;
+              const move = evaluate([
+                {
+                  gi,
+                  weight: combined[gi] - aLinks[gi] + bLinks[gi] - ab,
+                  sum: sums[gi] + diff,
+                  size: groupA.length,
+                  members: () => groupA.map((id, idx) => (idx === ni ? b : id)),
+                },
+                {
+                  gi: gj,
+                  weight: combined[gj] - bLinks[gj] + aLinks[gj] - ab,
+                  sum: sums[gj] - diff,
+                  size: groupB.length,
+                  members: () => groupB.map((id, idx) => (idx === nj ? a : id)),
+                },
+              ]);
+              if (move.total > bestTotal) accept(move);
             }
           }
         }
@@ -729,6 +3182,123 @@ function localSearch(initialGroups, initialFreeNodes, ids, nodesById, linkMatrix
   return { groups: best, freeNodes: bestFree };
 }
 
+// ── Simulated annealing ─────────────────────────────────────────────────────
+
+/**
+ * Simulated annealing over three moves: move a unit (a fixed group / must-link
+ * cluster, or a single node) to another or a new group, swap two units
+ * between groups, or free / re-place a single node when allowFreeNodes is set.
+ * Only moves that keep the solution feasible are considered; worse ones are
+ * accepted with probability exp(delta / T), with T cooling geometrically over
+ * whichever of `timeLimitMs` / `maxIterations` runs out first. Moves are scored
+ * like localSearch's, under `scoring.weights` minus `scoring.penalty(groups)`.
+ * Every new best solution is passed to `onBest`; `onTick` is called every 256 iterations.
+ */
+function simulatedAnnealing(initialGroups, initialFreeNodes, nodesById, links, constraints, allowFreeNodes, scoring, fixedGroupsParam, limits, seed, onBest, onTick = () => {}) {
+  const { weights = resolveObjective({}), penalty = null } = scoring;
+  // Total weight plus a per-group bonus changes by the moved link weight alone
+  const linear = !penalty && !weights.minGroupWeight && !weights.linkBalance && !weights.sizeBalance;
+  const scoreOf = (gs) => {
+    const score = objectiveScore(
+      weights, gs.map((g) => groupCombinedWeight(g, links)), gs.map((g) => groupNodeWeightSum(g, nodesById))
+    );
+    return penalty ? score - penalty(gs) : score;
+  };
+  const rng = mulberry32(seed);
+  const { timeLimitMs, maxIterations } = limits;
+  let groups = initialGroups.map((g) => [...g]);
+  let free = [...initialFreeNodes];
+
+  const unitOf = new Map();
+  for (const fg of fixedGroupsParam) {
+    for (const id of fg) unitOf.set(id, fg);
+  }
+  const unitFor = (id) => unitOf.get(id) || [id];
+  const allIds = [...groups.flat(), ...free];
+  if (allIds.length === 0) return;
+
+  const linkTo = (unit, group) => unit.reduce((s, id) => s + links.linkSum(id, group), 0);
+  const without = (group, unit) => group.filter((id) => !unit.includes(id));
+
+  // Start hot enough to accept an average-sized loss about half the time
+  const startTemp = Math.max(links.meanAbsWeight(), 1e-3);
+  const endTemp = startTemp * 1e-3;
+
+  let score = scoreOf(groups);
+  let bestScore = score;
+  const started = Date.now();
+  let temp = startTemp;
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    if (iter % 256 === 0) {
+      onTick();
+      const progress = Math.max(iter / maxIterations, (Date.now() - started) / timeLimitMs);
+      if (progress >= 1) break;
+      temp = startTemp * (endTemp / startTemp) ** progress;
+    }
+
+    const id = allIds[Math.floor(rng() * allIds.length)];
+    const unit = unitFor(id);
+    const from = groups.findIndex((g) => g.includes(id));
+    const r = rng();
+    let candidate = null;
+    let candidateFree = free;
+    // Change in total link weight and in the number of groups
+    let linkDelta = 0;
+    let groupDelta = 0;
+
+    if (from === -1) {
+      // Re-place a free node into a random group
+      const to = Math.floor(rng() * (groups.length + 1));
+      const target = to < groups.length ? groups[to] : [];
+      if (!constraints.canJoin(target, unit)) continue;
+      candidate = to < groups.length ? groups.map((g, i) => (i === to ? [...g, ...unit] : g)) : [...groups, [...unit]];
+      candidateFree = free.filter((x) => x !== id);
+      linkDelta = linkTo(unit, target);
+      groupDelta = to < groups.length ? 0 : 1;
+    } else if (r < 0.1 && allowFreeNodes && unit.length === 1 && !constraints.isPinned(id)) {
+      const rest = without(groups[from], unit);
+      candidate = groups.map((g, i) => (i === from ? rest : g)).filter((g) => g.length > 0);
+      candidateFree = [...free, id];
+      linkDelta = -linkTo(unit, rest);
+      groupDelta = rest.length === 0 ? -1 : 0;
+    } else if (r < 0.55) {
+      const to = Math.floor(rng() * (groups.length + 1));
+      if (to === from) continue;
+      const rest = without(groups[from], unit);
+      const target = to < groups.length ? groups[to] : [];
+      if (!constraints.canJoin(target, unit)) continue;
+      candidate = groups.map((g, i) => (i === from ? rest : i === to ? [...g, ...unit] : g));
+      if (to === groups.length) candidate.push([...unit]);
+      candidate = candidate.filter((g) => g.length > 0);
+      linkDelta = linkTo(unit, target) - linkTo(unit, rest);
+      groupDelta = (to === groups.length ? 1 : 0) - (rest.length === 0 ? 1 : 0);
+    } else {
+      const to = Math.floor(rng() * groups.length);
+      if (to === from || groups[to].length === 0) continue;
+      const other = unitFor(groups[to][Math.floor(rng() * groups[to].length)]);
+      const restFrom = without(groups[from], unit);
+      const restTo = without(groups[to], other);
+      if (!constraints.canJoin(restTo, unit) || !constraints.canJoin(restFrom, other)) continue;
+      candidate = groups.map((g, i) => (i === from ? [...restFrom, ...other] : i === to ? [...restTo, ...unit] : g));
+      linkDelta = linkTo(unit, restTo) - linkTo(unit, restFrom) + linkTo(other, restFrom) - linkTo(other, restTo);
+    }
+
+    const delta = linear ? weights.totalWeight * linkDelta + weights.groupCount * groupDelta : scoreOf(candidate) - score;
+
+    if (delta < 0 && rng() >= Math.exp(delta / temp)) continue;
+    if (!constraints.assign(candidate)) continue;
+
+    groups = candidate;
+    free = candidateFree;
+    score += delta;
+    if (score > bestScore + 1e-9) {
+      bestScore = score;
+      onBest(groups, free);
+    }
+  }
+}
+
 // ── Utilities ───────────────────────────────────────────────────────────────
 
 function mulberry32(seed) {
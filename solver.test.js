@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { validate, computeGroups, buildLinkMatrix } from './solver.js';
+import { validate, validateIssues, issueMessages, computeGroups, solveIncrementally, explainSolution, evaluateSolution, diagnose, placeGroups, arrangeSeats, computeRounds, aggregateLinkWeight, buildLinkMatrix } from './solver.js';
 
 // ── Helper ──────────────────────────────────────────────────────────────────
 
@@ -91,6 +91,44 @@ describe('validate', () => {
   });
 });
 
+describe('validateIssues', () => {
+  it('reports invalid and duplicate nodes with their ids', () => {
+    const nodes = [...makeNodes([['a', NaN], ['b', -1], ['c', 2]]), { id: 'c', nodeWeight: 1 }];
+    const issues = validateIssues(nodes, {}, 1, 5);
+    assert.deepEqual(issues.map((i) => [i.code, i.nodeIds]), [['nodeWeight', ['a']], ['nodeWeight', ['b']], ['duplicateNode', ['c']]]);
+    assert.ok(issues.every((i) => i.severity === 'error'));
+  });
+
+  it('warns about self-links and links to unknown nodes without failing validate', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1]]);
+    const matrix = { 'a|a': 3, 'a|ghost': 2, 'a|b': 1 };
+    const issues = validateIssues(nodes, matrix, 1, 2);
+    assert.deepEqual(issues.map((i) => [i.code, i.severity, i.nodeIds]), [
+      ['selfLink', 'warning', ['a']],
+      ['unknownLinkNode', 'warning', ['a']],
+    ]);
+    assert.deepEqual(validate(nodes, matrix, 1, 2), []);
+  });
+
+  it('reports fixed groups that can never reach the minimum', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 4], ['d', 4]]);
+    const issues = validateIssues(nodes, {}, 5, 5, { fixedGroups: [['a', 'b']] });
+    assert.deepEqual(issues.map((i) => [i.code, i.nodeIds]), [['fixedGroupUnderMin', ['a', 'b']]]);
+    assert.deepEqual(validateIssues(nodes, {}, 5, 6, { fixedGroups: [['a', 'b']] }), []);
+    assert.deepEqual(validateIssues(nodes, {}, 5, 5, { fixedGroups: [['a', 'b']], allowFreeNodes: true }), []);
+  });
+
+  it('attaches codes and node ids to the existing checks', () => {
+    const nodes = makeNodes([['a', 200], ['b', 1]]);
+    const [overweight] = validateIssues(nodes, {}, 0, 100);
+    assert.equal(overweight.code, 'nodeOverweight');
+    assert.deepEqual(overweight.nodeIds, ['a']);
+    const issues = validateIssues(nodes, {}, 0, 300, { cannotLink: [['a', 'b']], mustLink: [['a', 'b']] });
+    assert.deepEqual(issues.map((i) => [i.code, i.nodeIds]), [['cannotLink', ['a', 'b']]]);
+    assert.deepEqual(issueMessages(issues), validate(nodes, {}, 0, 300, { cannotLink: [['a', 'b']], mustLink: [['a', 'b']] }));
+  });
+});
+
 // ── Solver: constraint enforcement ──────────────────────────────────────────
 
 describe('solver constraints', () => {
@@ -423,3 +461,1089 @@ describe('allowFreeNodes', () => {
     }
   });
 });
+
+// ── Group templates (mixed group sizes) ─────────────────────────────────────
+
+describe('groupTemplates', () => {
+  const templates = [
+    { label: 'Sweetheart', min: 2, max: 2, count: 1 },
+    { label: 'Round', min: 3, max: 4, count: 2 },
+  ];
+
+  function templatesRespected(solutions, groupTemplates) {
+    for (const sol of solutions) {
+      const used = groupTemplates.map(() => 0);
+      for (const gd of sol.groupDetails) {
+        const t = groupTemplates[gd.templateIndex];
+        assert.ok(t, `Group [${gd.nodeIds}] has no template`);
+        assert.ok(
+          gd.nodeWeightSum >= t.min && gd.nodeWeightSum <= t.max,
+          `Group [${gd.nodeIds}] weight ${gd.nodeWeightSum} outside template ${t.label}`
+        );
+        used[gd.templateIndex]++;
+      }
+      used.forEach((n, i) => {
+        assert.ok(n <= (groupTemplates[i].count ?? Infinity), `Template ${groupTemplates[i].label} overused`);
+      });
+    }
+  }
+
+  it('assigns every group to a template within its own bounds', () => {
+    const nodes = makeNodes([
+      ['couple', 2],
+      ['a', 1], ['b', 1], ['c', 1], ['d', 1],
+      ['e', 1], ['f', 1], ['g', 1], ['h', 1],
+    ]);
+    const matrix = makeLinkMatrix([
+      ['a', 'b', 5], ['a', 'c', 5], ['b', 'd', 5], ['c', 'd', 5],
+      ['e', 'f', 5], ['e', 'g', 5], ['f', 'h', 5], ['g', 'h', 5],
+    ]);
+    const result = computeGroups(nodes, matrix, 0, 100, { groupTemplates: templates });
+    assert.ok(result.solutions.length > 0);
+    templatesRespected(result.solutions, templates);
+    allNodesAccountedFor(result.solutions, nodes.map((n) => n.id));
+
+    const best = result.solutions[0];
+    assert.equal(best.totalWeight, 40);
+    const coupleGroup = best.groupDetails.find((gd) => gd.nodeIds.includes('couple'));
+    assert.deepEqual(coupleGroup.nodeIds, ['couple']);
+    assert.equal(coupleGroup.templateIndex, 0);
+  });
+
+  it('ignores the global bounds when templates are given', () => {
+    const nodes = makeNodes([['a', 6], ['b', 6], ['c', 2]]);
+    const matrix = makeLinkMatrix([['a', 'b', 3]]);
+    const groupTemplates = [{ min: 10, max: 12, count: 1 }, { min: 1, max: 3 }];
+    const result = computeGroups(nodes, matrix, 50, 60, { groupTemplates });
+    assert.ok(result.solutions.length > 0);
+    templatesRespected(result.solutions, groupTemplates);
+    assert.equal(result.solutions[0].totalWeight, 3);
+  });
+
+  it('returns no solutions when template counts cannot hold every node', () => {
+    const nodes = makeNodes([['a', 4], ['b', 4], ['c', 4]]);
+    const result = computeGroups(nodes, {}, 0, 100, { groupTemplates: [{ min: 1, max: 5, count: 2 }] });
+    assert.equal(result.errors.length, 0);
+    assert.equal(result.solutions.length, 0);
+  });
+
+  it('respects templates with fixed groups', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1]]);
+    const matrix = makeLinkMatrix([['a', 'c', 4], ['d', 'e', 2]]);
+    const groupTemplates = [{ min: 2, max: 2, count: 1 }, { min: 3, max: 3, count: 1 }];
+    const result = computeGroups(nodes, matrix, 0, 100, { groupTemplates, fixedGroups: [['a', 'b']] });
+    assert.ok(result.solutions.length > 0);
+    templatesRespected(result.solutions, groupTemplates);
+    for (const sol of result.solutions) {
+      assert.ok(sol.groups.some((g) => g.includes('a') && g.includes('b')));
+    }
+  });
+
+  it('validate rejects inverted templates and nodes too heavy for every template', () => {
+    const nodes = makeNodes([['a', 20]]);
+    const errors = validate(nodes, {}, 0, 100, {
+      groupTemplates: [{ label: 'Long', min: 12, max: 8 }, { min: 1, max: 10, count: 1.5 }],
+    });
+    assert.ok(errors.some((e) => e.includes('Long')));
+    assert.ok(errors.some((e) => e.includes('count')));
+    assert.ok(errors.some((e) => e.includes('exceeds')));
+  });
+});
+
+// ── Group count (minGroups / maxGroups / groupCount) ────────────────────────
+
+describe('group count', () => {
+  it('groupCount forces exactly K groups', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 3], ['c', 'd', 3], ['e', 'f', 3], ['a', 'c', 1]]);
+    const result = computeGroups(nodes, matrix, 1, 6, { groupCount: 3 });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) assert.equal(sol.groups.length, 3);
+    allGroupsValid(result.solutions, 1, 6, nodes);
+    allNodesAccountedFor(result.solutions, nodes.map((n) => n.id));
+  });
+
+  it('minGroups splits a group the links would keep together', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+    const matrix = makeLinkMatrix([
+      ['a', 'b', 5], ['a', 'c', 1], ['a', 'd', 1], ['b', 'c', 1], ['b', 'd', 1], ['c', 'd', 5],
+    ]);
+    const unconstrained = computeGroups(nodes, matrix, 1, 4);
+    assert.equal(unconstrained.solutions[0].groups.length, 1);
+
+    const result = computeGroups(nodes, matrix, 1, 4, { minGroups: 2 });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) assert.ok(sol.groups.length >= 2);
+    assert.equal(result.solutions[0].totalWeight, 10);
+  });
+
+  it('maxGroups packs unlinked nodes into fewer groups', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+    const result = computeGroups(nodes, {}, 1, 3, { maxGroups: 2 });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) assert.ok(sol.groups.length <= 2);
+    allGroupsValid(result.solutions, 1, 3, nodes);
+    allNodesAccountedFor(result.solutions, nodes.map((n) => n.id));
+  });
+
+  it('works together with fixed groups and templates', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 2], ['c', 'd', 2], ['e', 'f', 2]]);
+    const groupTemplates = [{ min: 1, max: 4, count: 5 }];
+    const result = computeGroups(nodes, matrix, 0, 0, { groupTemplates, groupCount: 3, fixedGroups: [['a', 'c']] });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) {
+      assert.equal(sol.groups.length, 3);
+      assert.ok(sol.groups.some((g) => g.includes('a') && g.includes('c')));
+    }
+  });
+
+  it('validate reports when the total weight cannot fit into that many groups', () => {
+    const nodes = makeNodes([['a', 4], ['b', 4], ['c', 4]]);
+    assert.ok(validate(nodes, {}, 1, 5, { maxGroups: 2 }).some((e) => e.includes('cannot fit')));
+    assert.ok(validate(nodes, {}, 5, 10, { minGroups: 3 }).some((e) => e.includes('cannot fill')));
+    assert.ok(validate(nodes, {}, 1, 10, { groupCount: 4 }).some((e) => e.includes('number of nodes')));
+    assert.ok(validate(nodes, {}, 1, 10, { minGroups: 3, maxGroups: 2 }).some((e) => e.includes('minGroups')));
+    assert.equal(validate(nodes, {}, 1, 5, { maxGroups: 2, allowFreeNodes: true }).length, 0);
+    assert.equal(validate(nodes, {}, 4, 8, { groupCount: 2 }).length, 0);
+  });
+});
+
+// ── Cannot-link constraints ─────────────────────────────────────────────────
+
+describe('cannotLink', () => {
+  function pairsApart(solutions, cannotLink) {
+    for (const sol of solutions) {
+      for (const g of sol.groups) {
+        for (const [a, b] of cannotLink) {
+          assert.ok(!(g.includes(a) && g.includes(b)), `${a} and ${b} share group [${g}]`);
+        }
+      }
+    }
+  }
+
+  it('keeps a pair apart even when their link weight is high', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 10], ['a', 'c', 1], ['b', 'd', 1], ['c', 'd', 1]]);
+    const cannotLink = [['a', 'b']];
+    const result = computeGroups(nodes, matrix, 1, 4, { cannotLink });
+    assert.ok(result.solutions.length > 0);
+    pairsApart(result.solutions, cannotLink);
+    assert.equal(result.solutions[0].totalWeight, 2);
+  });
+
+  it('is respected by the heuristic search on larger instances', () => {
+    const defs = [];
+    const edges = [];
+    for (let i = 0; i < 20; i++) defs.push([`n${i}`, 1]);
+    for (let i = 0; i < 20; i++) {
+      for (let j = i + 1; j < 20; j++) edges.push([`n${i}`, `n${j}`, ((i * 7 + j * 3) % 5) + 1]);
+    }
+    const cannotLink = [['n0', 'n1'], ['n2', 'n3'], ['n0', 'n5'], ['n10', 'n11'], ['n4', 'n19']];
+    const result = computeGroups(makeNodes(defs), makeLinkMatrix(edges), 3, 5, { cannotLink });
+    assert.ok(result.solutions.length > 0);
+    pairsApart(result.solutions, cannotLink);
+    allGroupsValid(result.solutions, 3, 5, makeNodes(defs));
+  });
+
+  it('is respected with fixed groups, templates and free nodes', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1]]);
+    const matrix = makeLinkMatrix([['a', 'c', 5], ['b', 'c', 5], ['c', 'd', 2], ['d', 'e', 1]]);
+    const cannotLink = [['c', 'b'], ['a', 'e']];
+    const fixed = computeGroups(nodes, matrix, 1, 3, { cannotLink, fixedGroups: [['a', 'b']] });
+    assert.ok(fixed.solutions.length > 0);
+    pairsApart(fixed.solutions, cannotLink);
+
+    const templated = computeGroups(nodes, matrix, 0, 0, {
+      cannotLink, allowFreeNodes: true, groupTemplates: [{ min: 2, max: 3, count: 2 }],
+    });
+    assert.ok(templated.solutions.length > 0);
+    pairsApart(templated.solutions, cannotLink);
+  });
+
+  it('returns no solutions when the pair can only be placed together', () => {
+    const nodes = makeNodes([['a', 5], ['b', 5]]);
+    const result = computeGroups(nodes, {}, 10, 10, { cannotLink: [['a', 'b']] });
+    assert.equal(result.solutions.length, 0);
+  });
+
+  it('validate flags pairs that can never be met', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1]]);
+    assert.ok(validate(nodes, {}, 1, 3, { cannotLink: [['a', 'a']] }).some((e) => e.includes('itself')));
+    assert.ok(
+      validate(nodes, {}, 1, 3, { cannotLink: [['a', 'b']], fixedGroups: [['a', 'b']] })
+        .some((e) => e.includes('fixed group'))
+    );
+    const clique = [['a', 'b'], ['b', 'c'], ['a', 'c']];
+    assert.ok(validate(nodes, {}, 1, 3, { cannotLink: clique, groupCount: 2 }).some((e) => e.includes('different groups')));
+    assert.equal(validate(nodes, {}, 1, 3, { cannotLink: clique, groupCount: 3 }).length, 0);
+  });
+});
+
+describe('mustLink', () => {
+  function together(solutions, ids) {
+    for (const sol of solutions) {
+      const g = sol.groups.find((grp) => grp.includes(ids[0]));
+      assert.ok(g, `${ids[0]} is not in any group`);
+      for (const id of ids) assert.ok(g.includes(id), `${id} is not with ${ids[0]} in [${g}]`);
+    }
+  }
+
+  it('keeps transitively linked nodes in the same group', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+    const matrix = makeLinkMatrix([['a', 'd', 10], ['b', 'e', 10], ['c', 'f', 10]]);
+    const result = computeGroups(nodes, matrix, 2, 3, { mustLink: [['a', 'b'], ['b', 'c']] });
+    assert.ok(result.solutions.length > 0);
+    together(result.solutions, ['a', 'b', 'c']);
+    allGroupsValid(result.solutions, 2, 3, nodes);
+  });
+
+  it('merges clusters with fixed groups they touch', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1]]);
+    const matrix = makeLinkMatrix([['a', 'e', 5], ['b', 'e', 5]]);
+    const result = computeGroups(nodes, matrix, 1, 3, { fixedGroups: [['c', 'd']], mustLink: [['a', 'c']] });
+    assert.ok(result.solutions.length > 0);
+    together(result.solutions, ['a', 'c', 'd']);
+  });
+
+  it('validate flags clusters heavier than any group', () => {
+    const nodes = makeNodes([['a', 2], ['b', 2], ['c', 2], ['d', 1]]);
+    const errors = validate(nodes, {}, 1, 5, { mustLink: [['a', 'b'], ['c', 'b']] });
+    assert.ok(errors.some((e) => e.includes('"a"') && e.includes('must be together')));
+    const withFixed = validate(nodes, {}, 1, 4, { mustLink: [['a', 'd']], fixedGroups: [['b', 'd']] });
+    assert.ok(withFixed.some((e) => e.includes('fixed group members')));
+    assert.equal(validate(nodes, {}, 1, 4, { mustLink: [['a', 'b']] }).length, 0);
+  });
+
+  it('validate flags conflicts with cannotLink', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1]]);
+    const errors = validate(nodes, {}, 1, 3, { mustLink: [['a', 'b'], ['b', 'c']], cannotLink: [['c', 'a']] });
+    assert.ok(errors.some((e) => e.includes('must-link') && e.includes('"a"') && e.includes('"c"')));
+    assert.ok(validate(nodes, {}, 1, 3, { mustLink: [['a']] }).some((e) => e.includes('pairs')));
+  });
+});
+
+describe('groupSlots / pinnedNodes', () => {
+  const groupSlots = [
+    { id: 't1', label: 'Table 1' },
+    { id: 't2', label: 'Table 2', max: 2 },
+  ];
+
+  it('places pinned nodes in their named slot and lists named slots first', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 10], ['c', 'd', 10], ['e', 'f', 10]]);
+    const pinnedNodes = { e: 't1', c: 't2' };
+    const result = computeGroups(nodes, matrix, 1, 3, { groupSlots, pinnedNodes });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) {
+      assert.equal(sol.groupDetails[0].label, 'Table 1');
+      assert.ok(sol.groupDetails[0].nodeIds.includes('e'));
+      const t2 = sol.groupDetails.find((gd) => gd.slotId === 't2');
+      assert.ok(t2.nodeIds.includes('c'));
+      assert.ok(t2.nodeWeightSum <= 2);
+    }
+    assert.equal(result.solutions[0].totalWeight, 30);
+  });
+
+  it('keeps nodes pinned to different slots apart', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 10]]);
+    const result = computeGroups(nodes, matrix, 1, 3, { groupSlots, pinnedNodes: { a: 't1', b: 't2' } });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) {
+      assert.ok(!sol.groups.some((g) => g.includes('a') && g.includes('b')));
+    }
+  });
+
+  it('validate flags unknown slots and impossible pins', () => {
+    const nodes = makeNodes([['a', 2], ['b', 1]]);
+    assert.ok(validate(nodes, {}, 1, 3, { groupSlots, pinnedNodes: { a: 'nope' } }).some((e) => e.includes('unknown group slot')));
+    assert.ok(validate(nodes, {}, 1, 3, { groupSlots, pinnedNodes: { a: 't2', b: 't2' } }).some((e) => e.includes('"Table 2"')));
+    assert.ok(
+      validate(nodes, {}, 1, 3, { groupSlots, pinnedNodes: { a: 't1', b: 't2' }, mustLink: [['a', 'b']] })
+        .some((e) => e.includes('different groups'))
+    );
+    assert.ok(validate(nodes, {}, 1, 3, { groupSlots: [{ id: 'x' }, { id: 'x' }] }).some((e) => e.includes('more than once')));
+  });
+});
+
+describe('branch and bound', () => {
+  function cliques(count, size, weight) {
+    const defs = [];
+    const edges = [];
+    for (let c = 0; c < count; c++) {
+      for (let i = 0; i < size; i++) {
+        defs.push([`c${c}_${i}`, 1]);
+        for (let j = i + 1; j < size; j++) edges.push([`c${c}_${i}`, `c${c}_${j}`, weight]);
+      }
+    }
+    return { nodes: makeNodes(defs), matrix: makeLinkMatrix(edges) };
+  }
+
+  it('proves optimality on a medium instance with fixed groups', () => {
+    const { nodes, matrix } = cliques(7, 4, 5);
+    const result = computeGroups(nodes, matrix, 3, 5, { fixedGroups: [['c0_0', 'c0_1']] });
+    assert.equal(result.solutions[0].totalWeight, 7 * 6 * 5);
+    assert.equal(result.optimal, true);
+    assert.equal(result.gap, 0);
+    assert.equal(result.bestBound, 210);
+  });
+
+  it('matches a brute-force optimum on small instances', () => {
+    const nodes = makeNodes([['a', 1], ['b', 2], ['c', 1], ['d', 1], ['e', 2], ['f', 1], ['g', 1]]);
+    const matrix = makeLinkMatrix([
+      ['a', 'b', 4], ['a', 'c', -2], ['b', 'd', 3], ['c', 'd', 5], ['c', 'e', 2],
+      ['d', 'f', 1], ['e', 'f', 6], ['e', 'g', 2], ['f', 'g', 3], ['a', 'g', 2],
+    ]);
+    // A one-node fixed group routes the search through branch and bound
+    const viaBnb = computeGroups(nodes, matrix, 3, 5, { fixedGroups: [['a']] });
+    const viaExhaustive = computeGroups(nodes, matrix, 3, 5);
+    assert.equal(viaBnb.optimal, true);
+    assert.equal(viaBnb.bestBound, viaExhaustive.bestBound);
+  });
+
+  it('reports a bound and gap when the budget runs out', () => {
+    const { nodes, matrix } = cliques(8, 4, 5);
+    const result = computeGroups(nodes, matrix, 3, 5, { fixedGroups: [['c0_0', 'c0_1']], exactNodeLimit: 1 });
+    assert.ok(result.solutions.length > 0);
+    assert.ok(result.bestBound >= result.solutions[0].totalWeight);
+    assert.equal(result.gap, result.bestBound - result.solutions[0].totalWeight);
+    assert.equal(result.optimal, result.gap === 0);
+  });
+});
+
+describe('simulated annealing', () => {
+  function randomInstance(count) {
+    const rng = lcg(42);
+    const defs = [];
+    const edges = [];
+    for (let i = 0; i < count; i++) defs.push([`n${i}`, rng() < 0.3 ? 2 : 1]);
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        if (rng() < 0.2) edges.push([`n${i}`, `n${j}`, Math.floor(rng() * 12) - 2]);
+      }
+    }
+    return { nodes: makeNodes(defs), matrix: makeLinkMatrix(edges) };
+  }
+
+  function lcg(seed) {
+    let t = seed;
+    return () => {
+      t = (t * 1103515245 + 12345) % 2147483648;
+      return t / 2147483648;
+    };
+  }
+
+  it('finds valid solutions at least as good as the greedy start and is reproducible', () => {
+    const { nodes, matrix } = randomInstance(40);
+    const options = { algorithm: 'annealing', maxIterations: 20000, timeLimitMs: 60000, fixedGroups: [['n0', 'n1']] };
+    const a = computeGroups(nodes, matrix, 5, 8, options);
+    const b = computeGroups(nodes, matrix, 5, 8, options);
+    assert.ok(a.solutions.length > 0);
+    allGroupsValid(a.solutions, 5, 8, nodes);
+    assert.equal(a.solutions[0].totalWeight, b.solutions[0].totalWeight);
+    assert.deepEqual(a.solutions[0].groups, b.solutions[0].groups);
+    for (const sol of a.solutions) {
+      assert.ok(sol.groups.some((g) => g.includes('n0') && g.includes('n1')));
+    }
+  });
+
+  it('respects cannotLink and free nodes', () => {
+    const { nodes, matrix } = randomInstance(24);
+    const cannotLink = [['n2', 'n3'], ['n4', 'n5']];
+    const result = computeGroups(nodes, matrix, 4, 6, { algorithm: 'annealing', maxIterations: 5000, allowFreeNodes: true, cannotLink });
+    assert.ok(result.solutions.length > 0);
+    for (const sol of result.solutions) {
+      for (const g of sol.groups) {
+        for (const [x, y] of cannotLink) assert.ok(!(g.includes(x) && g.includes(y)));
+        const sum = g.reduce((s, id) => s + nodes.find((n) => n.id === id).nodeWeight, 0);
+        assert.ok(sum >= 4 && sum <= 6);
+      }
+      assert.equal(sol.groups.flat().length + sol.freeNodes.length, nodes.length);
+    }
+  });
+
+  it('validate rejects unknown algorithms and bad budgets', () => {
+    const nodes = makeNodes([['a', 1]]);
+    assert.ok(validate(nodes, {}, 1, 2, { algorithm: 'magic' }).some((e) => e.includes('algorithm')));
+    assert.ok(validate(nodes, {}, 1, 2, { timeLimitMs: 0 }).some((e) => e.includes('timeLimitMs')));
+    assert.ok(validate(nodes, {}, 1, 2, { maxIterations: 1.5 }).some((e) => e.includes('maxIterations')));
+  });
+});
+
+describe('onProgress', () => {
+  it('reports each greedy start with the best solutions so far', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+    const matrix = makeLinkMatrix([['a', 'b', 5], ['c', 'd', 3]]);
+    const reports = [];
+    const result = computeGroups(nodes, matrix, 2, 2, { onProgress: (p) => reports.push(p) });
+    const greedy = reports.filter((p) => p.phase === 'greedy');
+    assert.equal(greedy.length, greedy[0].seedsTotal);
+    assert.deepEqual(greedy.map((p) => p.seedsDone), greedy.map((_, i) => i + 1));
+    const last = reports[reports.length - 1];
+    assert.equal(last.bestScore, result.solutions[0].totalWeight);
+    assert.ok(last.solutions.length > 0);
+  });
+});
+
+describe('solveIncrementally', () => {
+  const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['c', 'd', 3], ['e', 'f', 2], ['a', 'c', 1]]);
+  const problem = { nodes, linkMatrix: matrix, minCombined: 2, maxCombined: 2 };
+
+  it('yields top-10 entries with stats, then the computeGroups result', async () => {
+    const events = [];
+    for await (const event of solveIncrementally(problem)) events.push(event);
+    const done = events.pop();
+    assert.equal(done.type, 'done');
+    assert.deepEqual(done.result, computeGroups(nodes, matrix, 2, 2));
+    assert.ok(events.length > 0);
+    for (const e of events) {
+      assert.equal(e.type, 'solution');
+      assert.ok(e.rank >= 0 && e.rank < 10);
+      assert.ok(e.stats.candidatesSeen > 0 && typeof e.stats.phase === 'string');
+    }
+    assert.ok(events.some((e) => e.solution.totalWeight === done.result.solutions[0].totalWeight));
+  });
+
+  it('stops early when the consumer breaks and calls onSolution for each entry', async () => {
+    const seen = [];
+    for await (const event of solveIncrementally(problem, { onSolution: (e) => seen.push(e) })) {
+      assert.equal(event, seen[0]);
+      break;
+    }
+    assert.ok(seen.length > 0);
+    const all = [];
+    computeGroups(nodes, matrix, 2, 2, { onSolution: (e) => all.push(e) });
+    assert.ok(all.length >= seen.length);
+  });
+
+  it('ends with the validation errors for invalid input', async () => {
+    const events = [];
+    for await (const event of solveIncrementally({ ...problem, minCombined: 3 })) events.push(event);
+    assert.equal(events.length, 1);
+    assert.ok(events[0].result.errors.length > 0);
+  });
+});
+
+describe('search effort options', () => {
+  function dense(count) {
+    const defs = [];
+    const edges = [];
+    for (let i = 0; i < count; i++) {
+      defs.push([`n${i}`, 1]);
+      for (let j = i + 1; j < count; j++) edges.push([`n${i}`, `n${j}`, ((i * j) % 7) + 1]);
+    }
+    return { nodes: makeNodes(defs), matrix: makeLinkMatrix(edges) };
+  }
+
+  it('keeps up to maxSolutions results and runs the requested number of seeds', () => {
+    const { nodes, matrix } = dense(24);
+    let seedsTotal = 0;
+    const result = computeGroups(nodes, matrix, 3, 4, {
+      maxSolutions: 25, seeds: 40, exactNodeLimit: 1000, onProgress: (p) => { seedsTotal = p.seedsTotal; },
+    });
+    assert.ok(result.solutions.length > 10 && result.solutions.length <= 25);
+    assert.equal(seedsTotal, 40);
+    const few = computeGroups(nodes, matrix, 3, 4, { maxSolutions: 3, exactNodeLimit: 1000 });
+    assert.ok(few.solutions.length <= 3);
+  });
+
+  it('enumerates exhaustively up to exhaustiveThreshold', () => {
+    const { nodes, matrix } = dense(8);
+    const phases = new Set();
+    computeGroups(nodes, matrix, 2, 3, { exhaustiveThreshold: 0, onSolution: (e) => phases.add(e.stats.phase) });
+    assert.ok(!phases.has('exhaustive'));
+    computeGroups(nodes, matrix, 2, 3, { onSolution: (e) => phases.add(e.stats.phase) });
+    assert.ok(phases.has('exhaustive'));
+  });
+
+  it('is reproducible for a given baseSeed', () => {
+    const { nodes, matrix } = dense(30);
+    const options = { seeds: 2, localSearchIterations: 0, exactNodeLimit: 0, exhaustiveThreshold: 0 };
+    const a = computeGroups(nodes, matrix, 3, 5, { ...options, baseSeed: 7 });
+    const b = computeGroups(nodes, matrix, 3, 5, { ...options, baseSeed: 7 });
+    assert.deepEqual(a.solutions, b.solutions);
+  });
+
+  it('validate rejects bad effort options', () => {
+    const nodes = makeNodes([['a', 1]]);
+    assert.ok(validate(nodes, {}, 1, 2, { seeds: 0 }).some((e) => e.includes('seeds')));
+    assert.ok(validate(nodes, {}, 1, 2, { maxSolutions: 2.5 }).some((e) => e.includes('maxSolutions')));
+    assert.ok(validate(nodes, {}, 1, 2, { localSearchIterations: -1 }).some((e) => e.includes('localSearchIterations')));
+    assert.ok(validate(nodes, {}, 1, 2, { exhaustiveThreshold: 'x' }).some((e) => e.includes('exhaustiveThreshold')));
+    assert.ok(validate(nodes, {}, 1, 2, { baseSeed: 0.5 }).some((e) => e.includes('baseSeed')));
+    assert.deepEqual(validate(nodes, {}, 1, 2, { seeds: 3, maxSolutions: 50, localSearchIterations: 0, exhaustiveThreshold: 0, baseSeed: -4 }), []);
+  });
+});
+
+describe('minSolutionDistance', () => {
+  function pairDistance(a, b) {
+    const together = (sol) => {
+      const set = new Set();
+      for (const g of sol.groups) for (const x of g) for (const y of g) if (x < y) set.add(`${x}|${y}`);
+      return set;
+    };
+    const ta = together(a);
+    const tb = together(b);
+    return [...ta].filter((p) => !tb.has(p)).length + [...tb].filter((p) => !ta.has(p)).length;
+  }
+
+  const defs = [];
+  const edges = [];
+  for (let i = 0; i < 20; i++) {
+    defs.push([`n${i}`, 1]);
+    for (let j = i + 1; j < 20; j++) edges.push([`n${i}`, `n${j}`, ((i * 3 + j * 5) % 9) + 1]);
+  }
+  const nodes = makeNodes(defs);
+  const matrix = makeLinkMatrix(edges);
+
+  it('reports distanceToBest for every solution', () => {
+    const result = computeGroups(nodes, matrix, 4, 5, { exactNodeLimit: 1000 });
+    assert.equal(result.solutions[0].distanceToBest, 0);
+    for (const sol of result.solutions) assert.equal(sol.distanceToBest, pairDistance(result.solutions[0], sol));
+  });
+
+  it('keeps returned solutions at least minSolutionDistance apart without losing the best', () => {
+    const plain = computeGroups(nodes, matrix, 4, 5, { exactNodeLimit: 1000 });
+    const diverse = computeGroups(nodes, matrix, 4, 5, { exactNodeLimit: 1000, minSolutionDistance: 12 });
+    assert.ok(diverse.solutions.length > 1);
+    assert.equal(diverse.solutions[0].totalWeight, plain.solutions[0].totalWeight);
+    for (let i = 0; i < diverse.solutions.length; i++) {
+      for (let j = i + 1; j < diverse.solutions.length; j++) {
+        assert.ok(pairDistance(diverse.solutions[i], diverse.solutions[j]) >= 12);
+      }
+    }
+    assert.ok(validate(nodes, {}, 4, 5, { minSolutionDistance: -1 }).some((e) => e.includes('minSolutionDistance')));
+  });
+});
+
+describe('previousSolution / stabilityWeight', () => {
+  const defs = [];
+  const edges = [];
+  for (let i = 0; i < 24; i++) {
+    defs.push([`n${i}`, 1]);
+    for (let j = i + 1; j < 24; j++) edges.push([`n${i}`, `n${j}`, ((i * 7 + j * 11) % 10) + 1]);
+  }
+  const nodes = makeNodes(defs);
+  const matrix = makeLinkMatrix(edges);
+  const options = { exactNodeLimit: 0 };
+
+  it('keeps the previous solution when a large penalty outweighs a small edit', () => {
+    const before = computeGroups(nodes, matrix, 4, 4, options).solutions[0];
+    const [a, b] = [before.groups[0][0], before.groups[1][0]];
+    const edited = { ...matrix, [`${a}|${b}`]: 3, [`${b}|${a}`]: 3 };
+    const after = computeGroups(nodes, edited, 4, 4, { ...options, previousSolution: before, stabilityWeight: 100 });
+    assert.deepEqual(after.solutions[0].movedNodes, []);
+    assert.deepEqual(
+      after.solutions[0].groups.map((g) => [...g].sort()).sort(),
+      before.groups.map((g) => [...g].sort()).sort()
+    );
+  });
+
+  it('places new nodes and reports moved nodes for every solution', () => {
+    const before = computeGroups(nodes.slice(0, 20), matrix, 4, 5, options).solutions[0];
+    const after = computeGroups(nodes, matrix, 4, 5, { ...options, previousSolution: before, stabilityWeight: 50 });
+    const best = after.solutions[0];
+    assert.equal(best.groups.flat().length, 24);
+    assert.ok(best.movedNodes.length <= 4);
+    for (const sol of after.solutions) assert.ok(Array.isArray(sol.movedNodes));
+  });
+
+  it('validate rejects a malformed previousSolution or negative stabilityWeight', () => {
+    const few = makeNodes([['a', 1]]);
+    assert.ok(validate(few, {}, 1, 2, { previousSolution: { groups: 'a' } }).some((e) => e.includes('previousSolution')));
+    assert.ok(validate(few, {}, 1, 2, { stabilityWeight: -1 }).some((e) => e.includes('stabilityWeight')));
+  });
+});
+
+describe('explainSolution', () => {
+  const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1]]);
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['a', 'c', 2], ['c', 'd', 4], ['b', 'd', 6], ['e', 'a', 1]]);
+  const solution = { groups: [['a', 'b', 'c'], ['d', 'e']], freeNodes: [] };
+
+  it('reports contributions and strongest links per node', () => {
+    const ex = explainSolution(nodes, matrix, solution, { minCombined: 1, maxCombined: 3 });
+    assert.equal(ex.a.groupIndex, 0);
+    assert.equal(ex.a.contribution, 7);
+    assert.equal(ex.a.contribution + ex.b.contribution + ex.c.contribution, 2 * 7);
+    assert.deepEqual(ex.a.strongestInGroup, { nodeId: 'b', linkWeight: 5 });
+    assert.deepEqual(ex.b.strongestOutOfGroup, { nodeId: 'd', linkWeight: 6, groupIndex: 1 });
+    assert.equal(ex.e.strongestInGroup, null);
+  });
+
+  it('finds the best feasible single move and its delta', () => {
+    const ex = explainSolution(nodes, matrix, solution, { minCombined: 1, maxCombined: 3 });
+    // c: leaves a (2) and b (0) for d (4)
+    assert.deepEqual(ex.c.bestMove, { toGroup: 1, delta: 2 });
+    const tight = explainSolution(nodes, matrix, solution, { minCombined: 2, maxCombined: 3 });
+    assert.equal(tight.e.bestMove, null);
+    const withFree = explainSolution(nodes, matrix, solution, { minCombined: 1, maxCombined: 3, allowFreeNodes: true });
+    assert.deepEqual(withFree.e.bestMove, { toGroup: -1, delta: 0 });
+  });
+
+  it('never moves nodes kept together by fixed groups or mustLink', () => {
+    const ex = explainSolution(nodes, matrix, solution, { minCombined: 1, maxCombined: 3, mustLink: [['a', 'c']] });
+    assert.equal(ex.a.bestMove, null);
+    assert.equal(ex.c.bestMove, null);
+    assert.notEqual(ex.b.bestMove, null);
+  });
+});
+
+describe('evaluateSolution', () => {
+  const nodes = makeNodes([['a', 1], ['b', 2], ['c', 1], ['d', 1]]);
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['c', 'd', 3], ['a', 'c', 1]]);
+
+  it('scores a valid assignment like computeGroups', () => {
+    const best = computeGroups(nodes, matrix, 2, 3).solutions[0];
+    const ev = evaluateSolution(nodes, matrix, best.groups, best.freeNodes, { minCombined: 2, maxCombined: 3 });
+    assert.deepEqual(ev.violations, []);
+    assert.equal(ev.totalWeight, best.totalWeight);
+    assert.deepEqual(ev.groupDetails, best.groupDetails);
+  });
+
+  it('lists bound, duplicate, missing and unknown-node violations', () => {
+    const ev = evaluateSolution(nodes, matrix, [['a', 'b', 'c'], ['c', 'x']], [], { minCombined: 2, maxCombined: 3 });
+    const types = ev.violations.map((v) => v.code).sort();
+    assert.deepEqual(types, ['bounds', 'duplicate', 'missing', 'unknown']);
+    assert.deepEqual(ev.violations.find((v) => v.code === 'missing').nodeIds, ['d']);
+    assert.deepEqual(ev.groups, [['a', 'b', 'c']]);
+    assert.equal(ev.totalWeight, 6);
+  });
+
+  it('flags split fixed groups, cannotLink pairs and disallowed free nodes', () => {
+    const ev = evaluateSolution(nodes, matrix, [['a', 'b'], ['c']], ['d'], {
+      minCombined: 1, maxCombined: 3, fixedGroups: [['c', 'd']], cannotLink: [['a', 'b']],
+    });
+    const types = ev.violations.map((v) => v.code).sort();
+    assert.deepEqual(types, ['cannotLink', 'fixedGroup', 'free']);
+  });
+});
+
+describe('objective', () => {
+  const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 1], ['f', 1]]);
+  const matrix = makeLinkMatrix([['a', 'b', 9], ['a', 'c', 8], ['b', 'c', 7], ['d', 'e', 1], ['e', 'f', 1], ['d', 'f', 1], ['c', 'd', 2]]);
+
+  it('maxMinGroupWeight lifts the weakest group', () => {
+    const four = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+    const links = makeLinkMatrix([['a', 'b', 10], ['c', 'd', 1], ['a', 'c', 4], ['b', 'd', 4]]);
+    const total = computeGroups(four, links, 2, 2).solutions[0];
+    const fair = computeGroups(four, links, 2, 2, { objective: 'maxMinGroupWeight' }).solutions[0];
+    assert.equal(total.totalWeight, 11);
+    assert.deepEqual(fair.groupDetails.map((d) => d.combinedWeight), [4, 4]);
+  });
+
+  it('fewestGroups and weighted combinations change the ranking', () => {
+    const few = computeGroups(nodes, matrix, 1, 6, { objective: { totalWeight: 1, fewestGroups: 100 } }).solutions[0];
+    assert.equal(few.groups.length, 1);
+    const many = computeGroups(nodes, matrix, 1, 6, { objective: { totalWeight: 1, fewestGroups: -100 } }).solutions[0];
+    assert.equal(many.groups.length, 6);
+  });
+
+  it('applies the objective in local search on larger instances', () => {
+    const defs = [];
+    const edges = [];
+    for (let i = 0; i < 24; i++) {
+      defs.push([`n${i}`, (i % 3) + 1]);
+      for (let j = i + 1; j < 24; j++) edges.push([`n${i}`, `n${j}`, ((i * 5 + j * 3) % 7) + 1]);
+    }
+    const big = makeNodes(defs);
+    const bigMatrix = makeLinkMatrix(edges);
+    const spread = (sol) => {
+      const sums = sol.groupDetails.map((d) => d.nodeWeightSum);
+      return Math.max(...sums) - Math.min(...sums);
+    };
+    const plain = computeGroups(big, bigMatrix, 6, 10, { exactNodeLimit: 0 });
+    const balanced = computeGroups(big, bigMatrix, 6, 10, { exactNodeLimit: 0, objective: 'balancedSizes' });
+    assert.ok(spread(balanced.solutions[0]) <= spread(plain.solutions[0]));
+    assert.equal(balanced.bestBound, null);
+    assert.equal(balanced.optimal, false);
+  });
+
+  it('steers simulated annealing, not just the ranking', () => {
+    // Every pair dislikes the others: total weight wants singletons, fewestGroups one big group
+    const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const hostile = makeLinkMatrix(ids.flatMap((a, i) => ids.slice(i + 1).map((b) => [a, b, -1])));
+    const options = { algorithm: 'annealing', maxIterations: 5000, seeds: 1, exhaustiveThreshold: 0 };
+    const total = computeGroups(nodes, hostile, 1, 6, options).solutions[0];
+    const few = computeGroups(nodes, hostile, 1, 6, { ...options, objective: 'fewestGroups' }).solutions[0];
+    assert.equal(total.groups.length, 6);
+    assert.equal(few.groups.length, 1);
+  });
+
+  it('validate rejects unknown objectives and bad weights', () => {
+    const one = makeNodes([['a', 1]]);
+    assert.ok(validate(one, {}, 1, 2, { objective: 'happiness' }).some((e) => e.includes('objective')));
+    assert.ok(validate(one, {}, 1, 2, { objective: { totalWeight: 'x' } }).some((e) => e.includes('objective')));
+    assert.ok(validate(one, {}, 1, 2, { objective: {} }).some((e) => e.includes('objective')));
+    assert.deepEqual(validate(one, {}, 1, 2, { objective: { totalWeight: 1, balancedSizes: 2 } }), []);
+  });
+});
+
+describe('resources', () => {
+  const nodes = [
+    { id: 'a', nodeWeight: { seats: 2, highChairs: 1 } },
+    { id: 'b', nodeWeight: { seats: 2, highChairs: 1 } },
+    { id: 'c', nodeWeight: { seats: 2, highChairs: 0 } },
+    { id: 'd', nodeWeight: { seats: 2, highChairs: 0 } },
+  ];
+  const matrix = makeLinkMatrix([['a', 'b', 10], ['c', 'd', 10], ['a', 'c', 1], ['b', 'd', 1]]);
+
+  it('uses the first resource as nodeWeight and reports resourceSums', () => {
+    const result = computeGroups(nodes, matrix, 4, 4);
+    assert.equal(result.solutions[0].totalWeight, 20);
+    const ab = result.solutions[0].groupDetails.find((d) => d.nodeIds.includes('a'));
+    assert.deepEqual(ab.resourceSums, { seats: 4, highChairs: 2 });
+    assert.equal(ab.nodeWeightSum, 4);
+  });
+
+  it('keeps every group within resourceLimits', () => {
+    const result = computeGroups(nodes, matrix, 4, 4, { resourceLimits: { highChairs: { max: 1 } } });
+    assert.equal(result.solutions[0].totalWeight, 2);
+    for (const sol of result.solutions) {
+      for (const d of sol.groupDetails) assert.ok(d.resourceSums.highChairs <= 1);
+    }
+    const minOne = computeGroups(nodes, matrix, 4, 4, { resourceLimits: { highChairs: { min: 1 } } });
+    for (const d of minOne.solutions[0].groupDetails) assert.ok(d.resourceSums.highChairs >= 1);
+  });
+
+  it('accepts vectors with a chosen primaryResource', () => {
+    const vec = [{ id: 'x', nodeWeight: [1, 3] }, { id: 'y', nodeWeight: [1, 3] }];
+    const result = computeGroups(vec, makeLinkMatrix([['x', 'y', 1]]), 1, 6, { primaryResource: 1, resourceLimits: [{ max: 2 }] });
+    assert.equal(result.solutions[0].groups.length, 1);
+    assert.equal(result.solutions[0].groupDetails[0].nodeWeightSum, 6);
+  });
+
+  it('validate rejects bad amounts, missing primaries and oversized nodes', () => {
+    const bad = [{ id: 'a', nodeWeight: { seats: -1 } }];
+    assert.ok(validate(bad, {}, 1, 4).some((e) => e.includes('non-negative')));
+    assert.ok(validate(nodes, {}, 1, 4, { primaryResource: 'chairs' }).some((e) => e.includes('"chairs"')));
+    assert.ok(validate(nodes, {}, 1, 4, { resourceLimits: { highChairs: { max: 0 } } }).some((e) => e.includes('highChairs')));
+    assert.ok(validate(nodes, {}, 1, 4, { resourceLimits: { highChairs: { min: 3, max: 2 } } }).some((e) => e.includes('min (3)')));
+  });
+
+  it('evaluateSolution reports resource violations', () => {
+    const ev = evaluateSolution(nodes, matrix, [['a', 'b'], ['c', 'd']], [], { minCombined: 4, maxCombined: 4, resourceLimits: { highChairs: { max: 1 } } });
+    assert.deepEqual(ev.violations.map((v) => v.code), ['resources']);
+  });
+});
+
+describe('linkAggregation', () => {
+  const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+  // a→b is one-sided; a↔c, b↔d and c↔d are mutual
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['a', 'c', 3], ['c', 'a', 3], ['b', 'd', 1], ['d', 'b', 1], ['c', 'd', 1], ['d', 'c', 1]]);
+  const best = (options) => computeGroups(nodes, matrix, 2, 2, options).solutions[0];
+
+  it('combines both directions according to the mode', () => {
+    const expected = { either: 6, sum: 8, min: 4, max: 6, average: 4, product: 10, penalizeOneSided: 4 };
+    for (const [linkAggregation, totalWeight] of Object.entries(expected)) {
+      assert.equal(best({ linkAggregation }).totalWeight, totalWeight, linkAggregation);
+    }
+    assert.ok(best({ linkAggregation: 'min' }).groups.some((g) => g.includes('a') && g.includes('c')));
+  });
+
+  it('maps the legacy symmetricLinks flag to either / sum', () => {
+    assert.equal(best({ symmetricLinks: true }).totalWeight, 6);
+    assert.equal(best({ symmetricLinks: false }).totalWeight, 8);
+    assert.equal(best({ symmetricLinks: false, linkAggregation: 'min' }).totalWeight, 4);
+  });
+
+  it('aggregateLinkWeight exposes the same modes', () => {
+    assert.equal(aggregateLinkWeight(4, 0), 4);
+    assert.equal(aggregateLinkWeight(4, 2, 'min'), 2);
+    assert.equal(aggregateLinkWeight(4, 0, 'penalizeOneSided'), -2);
+  });
+
+  it('validate rejects unknown modes', () => {
+    assert.ok(validate(nodes, matrix, 2, 2, { linkAggregation: 'median' }).some((e) => e.includes('linkAggregation')));
+    assert.deepEqual(validate(nodes, matrix, 2, 2, { linkAggregation: 'product' }), []);
+  });
+});
+
+describe('sparse link adjacency', () => {
+  // 120 nodes on a ring with a few chords: sparse, and too large for the exhaustive search
+  const defs = [];
+  const edges = [];
+  for (let i = 0; i < 120; i++) {
+    defs.push([`n${i}`, (i % 2) + 1]);
+    edges.push([`n${i}`, `n${(i + 1) % 120}`, (i % 5) + 1]);
+    if (i % 7 === 0) edges.push([`n${i}`, `n${(i * 13) % 120}`, 4]);
+  }
+  const nodes = makeNodes(defs);
+  const matrix = makeLinkMatrix(edges);
+
+  it('delta-scored local search reports the same weights as a full recount', () => {
+    for (const options of [{}, { allowFreeNodes: true }, { objective: 'balancedSizes' }]) {
+      const result = computeGroups(nodes, matrix, 6, 9, { seeds: 2, exactNodeLimit: 0, ...options });
+      assert.ok(result.solutions.length > 0);
+      for (const sol of result.solutions) {
+        const recount = evaluateSolution(nodes, matrix, sol.groups, sol.freeNodes, { minCombined: 6, maxCombined: 9, ...options });
+        assert.equal(sol.totalWeight, recount.totalWeight);
+        assert.deepEqual(sol.groupDetails.map((d) => d.combinedWeight), recount.groupDetails.map((d) => d.combinedWeight));
+        assert.deepEqual(recount.violations, []);
+      }
+    }
+  });
+
+  it('ignores links to unknown nodes and self-links', () => {
+    const small = makeNodes([['a', 1], ['b', 1]]);
+    const links = makeLinkMatrix([['a', 'b', 3], ['a', 'a', 50], ['a', 'ghost', 50]]);
+    assert.equal(computeGroups(small, links, 2, 2).solutions[0].totalWeight, 3);
+  });
+});
+
+describe('connected components', () => {
+  // Eight triangles whose best pair leaves one node over; groups are pairs, so the
+  // leftovers of different triangles share groups
+  const defs = [];
+  const edges = [];
+  for (let i = 0; i < 8; i++) {
+    defs.push([`a${i}`, 1], [`b${i}`, 1], [`c${i}`, 1]);
+    edges.push([`a${i}`, `b${i}`, i + 3], [`b${i}`, `c${i}`, 2], [`a${i}`, `c${i}`, 1]);
+  }
+  const nodes = makeNodes(defs);
+  const matrix = makeLinkMatrix(edges);
+
+  it('packs per-component optima into groups and proves the result optimal', () => {
+    const result = computeGroups(nodes, matrix, 2, 2, { exactNodeLimit: 0 });
+    assert.equal(result.optimal, true);
+    assert.equal(result.gap, 0);
+    assert.equal(result.solutions[0].totalWeight, 52);
+    assert.equal(result.components.length, 8);
+    assert.ok(result.components.every((c) => c.optimal && c.nodeIds.length === 3));
+    for (let i = 0; i < 8; i++) {
+      assert.ok(result.solutions[0].groups.some((g) => g.includes(`a${i}`) && g.includes(`b${i}`)));
+    }
+  });
+
+  it('keeps never-together pairs apart when packing components', () => {
+    const cannotLink = [['c0', 'c1'], ['c0', 'c2']];
+    const result = computeGroups(nodes, matrix, 2, 2, { exactNodeLimit: 0, cannotLink });
+    assert.equal(result.solutions[0].totalWeight, 52);
+    const withC0 = result.solutions[0].groups.find((g) => g.includes('c0'));
+    assert.ok(!withC0.includes('c1') && !withC0.includes('c2'));
+  });
+
+  it('reports progress after each component', () => {
+    const done = [];
+    computeGroups(nodes, matrix, 2, 2, {
+      exactNodeLimit: 0,
+      onProgress: (p) => { if (p.phase === 'components') done.push(p.componentsDone); },
+    });
+    assert.deepEqual([...new Set(done)], [1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('does not decompose components too large to solve exactly', () => {
+    const big = [];
+    const bigEdges = [];
+    for (let i = 0; i < 42; i++) big.push([`x${i}`, 1], [`y${i}`, 1]);
+    for (let i = 1; i < 42; i++) bigEdges.push([`x${i - 1}`, `x${i}`, 1], [`y${i - 1}`, `y${i}`, 1]);
+    const result = computeGroups(makeNodes(big), makeLinkMatrix(bigEdges), 2, 2, { seeds: 2, exactNodeLimit: 0 });
+    assert.equal(result.components, undefined);
+  });
+
+  it('does not decompose a connected graph', () => {
+    const chain = makeLinkMatrix([...edges, ...[1, 2, 3, 4, 5, 6, 7].map((i) => [`c${i - 1}`, `a${i}`, 1])]);
+    assert.equal(computeGroups(nodes, chain, 2, 2, { seeds: 2 }).components, undefined);
+  });
+});
+
+describe('diagnose', () => {
+  it('finds nothing for a feasible instance', () => {
+    const nodes = makeNodes([['a', 2], ['b', 2], ['c', 2], ['d', 2], ['e', 2]]);
+    assert.deepEqual(diagnose(nodes, {}, 4, 6), { reasons: [], suggestion: null });
+  });
+
+  it('reports a fixed group heavier than the maximum and the bound that admits it', () => {
+    const nodes = makeNodes([['a', 3], ['b', 3], ['c', 3], ['d', 3]]);
+    const { reasons, suggestion } = diagnose(nodes, {}, 5, 7, { fixedGroups: [['a', 'b', 'c']] });
+    assert.deepEqual(reasons.find((r) => r.code === 'overweight').nodeIds, ['a', 'b', 'c']);
+    assert.deepEqual(reasons.find((r) => r.code === 'unreachable').nodeIds, ['d']);
+    assert.equal(suggestion.maxCombined, 12);
+    assert.equal(computeGroups(nodes, {}, 5, 12, { fixedGroups: [['a', 'b', 'c']] }).solutions.length > 0, true);
+  });
+
+  it('reports a fixed group that can never reach the minimum', () => {
+    const nodes = makeNodes([['a', 1], ['b', 1], ['c', 4], ['d', 4]]);
+    const { reasons, suggestion } = diagnose(nodes, {}, 5, 5, { fixedGroups: [['a', 'b']] });
+    const unreachable = reasons.find((r) => r.code === 'unreachable');
+    assert.deepEqual(unreachable.nodeIds, ['a', 'b']);
+    assert.match(unreachable.message, /must stay together/);
+    // Raising the maximum to 6 strands "d"; only 10 would help, so lowering the minimum wins
+    assert.deepEqual(suggestion, { minCombined: 2, message: 'Try lowering minimumCombinedWeight to 2.' });
+  });
+
+  it('reports a total that cannot be split into groups and the smallest fix', () => {
+    const nodes = makeNodes([['a', 2], ['b', 2], ['c', 2], ['d', 2], ['e', 2]]);
+    const { reasons, suggestion } = diagnose(nodes, {}, 4, 4);
+    assert.deepEqual(reasons.map((r) => r.code), ['partition']);
+    // Groups of 3 still cannot hold 2-weight nodes in sums of 10, so the minimum drops to 2
+    assert.equal(suggestion.minCombined, 2);
+    assert.equal(computeGroups(nodes, {}, 4, 4).solutions.length, 0);
+    assert.ok(computeGroups(nodes, {}, 2, 4).solutions.length > 0);
+  });
+
+  it('respects the group count when splitting the total', () => {
+    const nodes = makeNodes([['a', 2], ['b', 2], ['c', 2], ['d', 2], ['e', 2]]);
+    const { reasons, suggestion } = diagnose(nodes, {}, 4, 4, { groupCount: 2 });
+    assert.match(reasons[0].message, /2 group\(s\)/);
+    assert.deepEqual(suggestion, { maxCombined: 6, message: 'Try raising maximumCombinedWeight to 6.' });
+  });
+
+  it('suggests the smallest change for fractional weights', () => {
+    const nodes = makeNodes([['a', 2.5], ['b', 2.5]]);
+    assert.deepEqual(diagnose(nodes, {}, 6, 7).suggestion, { minCombined: 5, message: 'Try lowering minimumCombinedWeight to 5.' });
+    const four = makeNodes([['a', 1.5], ['b', 1.5], ['c', 1.5], ['d', 1.5]]);
+    assert.equal(diagnose(four, {}, 1, 2.9, { groupCount: 2 }).suggestion.maxCombined, 3);
+    assert.ok(computeGroups(four, {}, 1, 3, { groupCount: 2 }).solutions.length > 0);
+  });
+
+  it('reports templates that hold less than the total weight without a suggestion', () => {
+    const nodes = makeNodes([['a', 2], ['b', 2], ['c', 2], ['d', 2]]);
+    const { reasons, suggestion } = diagnose(nodes, {}, 0, 4, { groupTemplates: [{ min: 0, max: 4, count: 1 }] });
+    assert.deepEqual(reasons.map((r) => r.code), ['capacity']);
+    assert.equal(suggestion, null);
+  });
+});
+
+describe('pruning', () => {
+  const nodes = makeNodes([['a', 1], ['b', 1], ['c', 1], ['d', 1]]);
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['c', 'd', 1], ['b', 'd', 2], ['a', 'c', -1]]);
+  const groupsOf = (result) => result.solutions.map((s) => s.groups.map((g) => [...g].sort().join('')).sort().join(' '));
+
+  it('drops solutions with unlinked group members by default and counts them', () => {
+    const result = computeGroups(nodes, matrix, 2, 2);
+    assert.deepEqual(groupsOf(result), ['ab cd', 'ac bd']);
+    assert.equal(result.pruned, 1);
+  });
+
+  it('keeps every solution when off', () => {
+    const result = computeGroups(nodes, matrix, 2, 2, { pruning: 'off' });
+    assert.equal(result.solutions.length, 3);
+    assert.equal(result.pruned, 0);
+  });
+
+  it('drops solutions where a node links to its group below the threshold', () => {
+    const result = computeGroups(nodes, matrix, 2, 2, { pruning: { minInGroupWeight: 1 } });
+    assert.deepEqual(groupsOf(result), ['ab cd']);
+    assert.equal(result.pruned, 2);
+  });
+
+  it('never drops every solution', () => {
+    const result = computeGroups(nodes, matrix, 2, 2, { pruning: { minInGroupWeight: 10 } });
+    assert.equal(result.solutions.length, 3);
+    assert.equal(result.pruned, 0);
+  });
+
+  it('rejects an unknown policy', () => {
+    assert.ok(validate(nodes, matrix, 2, 2, { pruning: 'aggressive' }).some((e) => e.includes('pruning')));
+  });
+});
+
+describe('placeGroups', () => {
+  const matrix = makeLinkMatrix([['a', 'c', 5], ['c', 'e', 5]]);
+  const solution = { groups: [['a', 'b'], ['c', 'd'], ['e', 'f']], freeNodes: [] };
+  const positions = [{ id: 'A', x: 0, y: 0 }, { id: 'B', x: 1, y: 0 }, { id: 'C', x: 2, y: 0 }];
+
+  it('puts the group linked to both others in the middle', () => {
+    const { placements, score, errors } = placeGroups(solution, matrix, { positions });
+    assert.deepEqual(errors, []);
+    assert.equal(placements.find((p) => p.groupIndex === 1).positionId, 'B');
+    assert.equal(score, 10);
+  });
+
+  it('keeps anchored groups at their position and pulls linked groups close', () => {
+    const anchors = [{ positionId: 'C', nodeIds: ['a'] }];
+    const { placements } = placeGroups(solution, matrix, { positions, anchors });
+    assert.deepEqual(placements.map((p) => p.positionId), ['C', 'B', 'A']);
+  });
+
+  it('uses an explicit adjacency instead of distances', () => {
+    const adjacency = { 'A|C': 1, 'B|C': 1 };
+    const { placements } = placeGroups(solution, matrix, { positions, adjacency });
+    assert.equal(placements.find((p) => p.groupIndex === 1).positionId, 'C');
+  });
+
+  it('reports too few positions and unknown anchors', () => {
+    assert.match(placeGroups(solution, matrix, { positions: positions.slice(0, 2) }).errors[0], /2 position/);
+    const anchors = [{ positionId: 'Z', nodeIds: ['a'] }];
+    assert.match(placeGroups(solution, matrix, { positions, anchors }).errors[0], /"Z"/);
+  });
+});
+
+describe('arrangeSeats', () => {
+  const matrix = makeLinkMatrix([['a', 'b', 5], ['b', 'c', 4], ['c', 'd', 3], ['a', 'c', -5]]);
+  const neighbors = (seats, id) => [seats[(seats.indexOf(id) + seats.length - 1) % seats.length], seats[(seats.indexOf(id) + 1) % seats.length]];
+
+  it('seats a round table to maximize neighbor link weight', () => {
+    const { seats, score } = arrangeSeats(['a', 'b', 'c', 'd'], matrix);
+    assert.equal(seats.length, 4);
+    assert.equal(score, 12);
+    assert.ok(!neighbors(seats, 'a').includes('c'));
+  });
+
+  it('keeps composite nodes on contiguous seats', () => {
+    const group = [{ id: 'a', nodeWeight: 2 }, 'b', 'c', { id: 'd', nodeWeight: 3 }];
+    for (const shape of ['round', 'rectangular']) {
+      const { seats } = arrangeSeats(group, matrix, { shape });
+      assert.equal(seats.length, 7);
+      for (const id of ['a', 'd']) {
+        const first = seats.indexOf(id);
+        assert.ok(seats.slice(first, seats.lastIndexOf(id) + 1).every((s) => s === id), `${shape}: ${seats}`);
+      }
+    }
+  });
+
+  it('counts the seat across a rectangular table as a neighbor', () => {
+    // Two seats per side: every member faces one and sits beside another
+    const { score } = arrangeSeats(['a', 'b', 'c', 'd'], matrix, { shape: 'rectangular' });
+    assert.equal(score, 12);
+  });
+
+  it('finds a chain order on larger tables', () => {
+    const ids = Array.from({ length: 12 }, (_, i) => `n${i}`);
+    const chain = makeLinkMatrix(ids.slice(1).map((id, i) => [ids[i], id, 1]));
+    assert.equal(arrangeSeats([...ids].reverse(), chain).score, 11);
+  });
+});
+
+describe('computeRounds', () => {
+  const nodes = ['a', 'b', 'c', 'd'].map((id) => ({ id, nodeWeight: 1 }));
+  const sameGroup = (sol, a, b) => sol.groups.some((g) => g.includes(a) && g.includes(b));
+
+  it('lets everyone meet new people in every round', () => {
+    const nine = Array.from({ length: 9 }, (_, i) => ({ id: `n${i}`, nodeWeight: 1 }));
+    const { rounds, repeats, errors } = computeRounds(nine, {}, 3, 3, { rounds: 4 });
+    assert.deepEqual(errors, []);
+    assert.equal(rounds.length, 4);
+    assert.equal(repeats, 0);
+    for (const round of rounds) assert.equal(round.groups.flat().length, 9);
+  });
+
+  it('trades repeats against link weight by repeatPenalty and scores without the penalty', () => {
+    const matrix = makeLinkMatrix([['a', 'b', 5]]);
+    const apart = computeRounds(nodes, matrix, 2, 2, { rounds: 2, repeatPenalty: 10 });
+    assert.ok(sameGroup(apart.rounds[0], 'a', 'b'));
+    assert.ok(!sameGroup(apart.rounds[1], 'a', 'b'));
+    const together = computeRounds(nodes, matrix, 2, 2, { rounds: 2, repeatPenalty: 1 });
+    // Keeping a and b together leaves c and d to repeat as well
+    assert.deepEqual(together.rounds[1].repeatedPairs.map((p) => p.slice().sort()).sort(), [['a', 'b'], ['c', 'd']]);
+    assert.equal(together.rounds[1].totalWeight, 5);
+    assert.equal(together.repeats, 2);
+  });
+
+  it('avoids the pairs of a supplied history', () => {
+    const history = [[['a', 'b'], ['c', 'd']], { groups: [['a', 'c'], ['b', 'd']] }];
+    const { rounds } = computeRounds(nodes, {}, 2, 2, { rounds: 1, history });
+    assert.ok(sameGroup(rounds[0], 'a', 'd'));
+    assert.deepEqual(rounds[0].repeatedPairs, []);
+  });
+
+  it('reports invalid options and infeasible rounds', () => {
+    assert.match(computeRounds(nodes, {}, 2, 2, { rounds: 0 }).errors[0], /rounds/);
+    assert.match(computeRounds(nodes, {}, 2, 2, { repeatPenalty: -1 }).errors[0], /repeatPenalty/);
+    const { rounds, errors } = computeRounds(nodes, {}, 3, 3, { rounds: 2 });
+    assert.equal(rounds.length, 0);
+    assert.ok(errors.length > 0);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Node Group Organizer — Solver worker
+ *
+ * Runs computeGroups off the main thread so the page stays responsive.
+ * Both apps start it as a module worker and post one message per run:
+ *   { nodes, linkMatrix, minCombined, maxCombined, options }
+ * It answers with any number of
+ *   { type: 'progress', phase, seedsDone, seedsTotal, componentsDone, componentsTotal, bestScore, solutions }
+ * followed by a single { type: 'done', result }. With options.rounds > 1 it runs
+ * computeRounds instead: progress then carries the 0-based `round` and the result
+ * is its { rounds, repeats, errors }. A run is cancelled by
+ * terminating the worker; the last progress message holds the best solutions
+ * found so far.
+ */
+
+import { computeGroups, computeRounds } from './solver.js';
+
+self.addEventListener('message', (e) => {
+  const { nodes, linkMatrix, minCombined, maxCombined, options } = e.data;
+  const solve = options.rounds > 1 ? computeRounds : computeGroups;
+  const result = solve(nodes, linkMatrix, minCombined, maxCombined, {
+    ...options,
+    onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+  });
+  self.postMessage({ type: 'done', result });
+});
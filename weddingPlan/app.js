@@ -1,8 +1,8 @@
-import { validate, computeGroups, buildLinkMatrix, matrixToList } from '../solver.js';
+import { validateIssues, computeGroups, explainSolution, evaluateSolution, diagnose, placeGroups, arrangeSeats, aggregateLinkWeight, buildLinkMatrix, matrixToList } from '../solver.js';
 
 // Wedding skin: nodes = guests (person or group), nodeWeight = number of people,
 // groups = tables, combinedWeight = likeness between people, totalWeight = optimization level.
-// allowFreeNodes always false; symmetricLinks always true.
+// allowFreeNodes always false; linkAggregation always "either" (symmetric likeness).
 
 const state = {
   nodes: [],
@@ -10,16 +10,38 @@ const state = {
   tags: [],
   minimumCombinedWeight: 7,
   maximumCombinedWeight: 10,
+  groupTemplates: [],
+  groupSlots: [],
+  pinnedNodes: {},
+  resources: [],
+  groupCount: null,
   allowFreeNodes: false,
-  symmetricLinks: true,
+  linkAggregation: 'either',
+  cannotLink: [],
+  mustLink: [],
+  algorithm: 'greedy',
+  timeLimitMs: 2000,
+  effort: 'normal',
+  minSolutionDistance: 0,
+  stabilityWeight: 10,
   solutions: null,
   selectedSolution: null,
   splittingPremiumPoints: 5,
   fixedGroups: [],
+  floorPlan: { positions: [], headGuest: null },
+};
+
+/** Search effort presets offered next to the run button; "normal" keeps the solver defaults. */
+const EFFORT_PRESETS = {
+  quick: { seeds: 5, localSearchIterations: 20, exhaustiveThreshold: 10 },
+  normal: {},
+  thorough: { seeds: 80, localSearchIterations: 1000, exactTimeLimitMs: 5000 },
 };
 
 let nextNodeId = 1;
 let nextTagId = 1;
+let nextSlotId = 1;
+let nextResourceId = 1;
 
 const TAG_PALETTE = [
   '#b76e79', '#c9a66b', '#7d9d7c', '#c17f7f', '#8b7355',
@@ -36,6 +58,9 @@ const FREE_NODE_COLOR = '#9ca3af';
 const LOCAL_STORAGE_KEY = 'weddingPlanSeating';
 const TAG_BONUS = 2;
 
+/** Key of the number of people in the resource map passed to the solver; no resource may use it. */
+const PRIMARY_RESOURCE = 'nodeWeight';
+
 function getTagLinkMatrix() {
   const tagMatrix = {};
   for (const tag of state.tags) {
@@ -55,6 +80,30 @@ function getTagLinkMatrix() {
   return tagMatrix;
 }
 
+function getSolverOptions() {
+  return {
+    allowFreeNodes: false,
+    linkAggregation: 'either',
+    balanceGroupWeightsFactor: 1,
+    bonusPerGroup: state.splittingPremiumPoints,
+    fixedGroups: state.fixedGroups,
+    groupTemplates: state.groupTemplates,
+    groupSlots: state.groupSlots,
+    pinnedNodes: state.pinnedNodes,
+    primaryResource: PRIMARY_RESOURCE,
+    resourceLimits: Object.fromEntries(
+      state.resources.map((r) => [resourceKey(r), { min: r.min ?? 0, max: r.max ?? Infinity }])
+    ),
+    algorithm: state.algorithm,
+    timeLimitMs: state.timeLimitMs,
+    ...EFFORT_PRESETS[state.effort],
+    minSolutionDistance: state.minSolutionDistance,
+    groupCount: state.groupCount,
+    cannotLink: state.cannotLink,
+    mustLink: state.mustLink,
+  };
+}
+
 function getEffectiveLinkMatrix() {
   const effective = {};
   for (const [k, v] of Object.entries(state.linkMatrix)) effective[k] = v;
@@ -74,8 +123,22 @@ const btnToggleNodes = document.getElementById('btn-toggle-nodes');
 const matrixContainer = document.getElementById('matrix-container');
 const inputMin = document.getElementById('input-min');
 const inputMax = document.getElementById('input-max');
+const inputGroupCount = document.getElementById('input-group-count');
+const templatesList = document.getElementById('templates-list');
+const btnAddTemplate = document.getElementById('btn-add-template');
+const slotsList = document.getElementById('slots-list');
+const btnAddSlot = document.getElementById('btn-add-slot');
+const resourcesList = document.getElementById('resources-list');
+const btnAddResource = document.getElementById('btn-add-resource');
 const inputSplittingPremium = document.getElementById('input-splitting-premium');
 const btnRun = document.getElementById('btn-run');
+const inputAlgorithm = document.getElementById('input-algorithm');
+const inputTimeLimit = document.getElementById('input-time-limit');
+const inputEffort = document.getElementById('input-effort');
+const inputMinDistance = document.getElementById('input-min-distance');
+const reoptimizeBar = document.getElementById('reoptimize-bar');
+const btnReoptimize = document.getElementById('btn-reoptimize');
+const inputStability = document.getElementById('input-stability');
 const btnResetLinks = document.getElementById('btn-reset-links');
 const btnClearTagLinks = document.getElementById('btn-clear-tag-links');
 const btnShowFixedTables = document.getElementById('btn-show-fixed-tables');
@@ -93,8 +156,15 @@ const validationErrors = document.getElementById('validation-errors');
 const resultsFieldset = document.getElementById('results-fieldset');
 const resultsDiv = document.getElementById('results');
 const graphContainer = document.getElementById('graph-container');
+const floorPlanFieldset = document.getElementById('floor-plan-fieldset');
+const floorPlanSvg = document.getElementById('floor-plan');
+const floorPlanHint = document.getElementById('floor-plan-hint');
+const inputHeadTable = document.getElementById('input-head-table');
+const btnResetFloorPlan = document.getElementById('btn-reset-floor-plan');
 const inputAnimateGraph = document.getElementById('input-animate-graph');
 const solverLoading = document.getElementById('solver-loading');
+const solverProgress = document.getElementById('solver-progress');
+const btnCancelSolve = document.getElementById('btn-cancel-solve');
 
 // ── vis-network ─────────────────────────────────────────────────────────────
 
@@ -164,7 +234,7 @@ function syncGraph() {
       if (nodeIds.has(from) && nodeIds.has(to)) {
         const pairKey = from < to ? `${from}|${to}` : `${to}|${from}`;
         const other = effectiveMatrix[`${to}|${from}`] || 0;
-        const pairW = state.symmetricLinks ? (w || other) : (w + other);
+        const pairW = aggregateLinkWeight(w, other, state.linkAggregation);
         if (pairW !== 0 && !wantedEdges.has(pairKey)) {
           const absW = Math.abs(pairW);
           wantedEdges.set(pairKey, {
@@ -224,7 +294,7 @@ function weightToEdgeColor(w) {
 function colorGraphBySolution(solution) {
   if (!solution) {
     for (const n of state.nodes) {
-      visNodes.update({ id: n.id, color: { background: '#fdf6f0', border: '#c9a66b' } });
+      visNodes.update({ id: n.id, title: null, color: { background: '#fdf6f0', border: '#c9a66b' } });
     }
     for (const eid of visEdges.getIds()) {
       const e = visEdges.get(eid);
@@ -240,11 +310,14 @@ function colorGraphBySolution(solution) {
   });
 
   const freeSet = new Set(solution.freeNodes || []);
+  const explanation = explainForUi(solution);
 
   for (const n of state.nodes) {
+    const title = explanation[n.id] ? nodeTooltip(n.id, explanation[n.id], solution) : null;
     if (freeSet.has(n.id)) {
       visNodes.update({
         id: n.id,
+        title,
         color: { background: '#fdf6f0', border: FREE_NODE_COLOR },
         borderWidth: 1,
         shapeProperties: { borderDashes: [4, 4] },
@@ -254,6 +327,7 @@ function colorGraphBySolution(solution) {
       const c = gi != null ? GROUP_COLORS[gi % GROUP_COLORS.length] : '#c9a66b';
       visNodes.update({
         id: n.id,
+        title,
         color: { background: c + '33', border: c },
         borderWidth: 2,
         shapeProperties: { borderDashes: false },
@@ -284,7 +358,7 @@ function addNode(id, label, nodeWeight) {
   if (label == null) label = '';
   if (nodeWeight == null) nodeWeight = 1;
 
-  state.nodes.push({ id, label, nodeWeight });
+  state.nodes.push({ id, label, nodeWeight, resources: {} });
   renderNodeRow(state.nodes.length - 1);
   const newRow = nodesList.lastElementChild;
   if (newRow) {
@@ -326,6 +400,18 @@ function renderNodeRow(index) {
     saveToLocalStorage();
   });
 
+  const selectSlot = document.createElement('select');
+  selectSlot.title = 'Always seat at this table';
+  selectSlot.hidden = state.groupSlots.length === 0;
+  selectSlot.add(new Option('Any table', ''));
+  for (const slot of state.groupSlots) selectSlot.add(new Option(slotLabel(slot), slot.id));
+  selectSlot.value = state.pinnedNodes[n.id] ?? '';
+  selectSlot.addEventListener('change', () => {
+    if (selectSlot.value) state.pinnedNodes[n.id] = selectSlot.value;
+    else delete state.pinnedNodes[n.id];
+    saveToLocalStorage();
+  });
+
   const btnRemove = document.createElement('button');
   btnRemove.className = 'danger';
   btnRemove.textContent = 'Remove';
@@ -334,7 +420,22 @@ function renderNodeRow(index) {
     removeNode(index);
   });
 
-  row.append(inputLabel, inputWeight, btnRemove);
+  const resourceInputs = state.resources.map((r) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.value = n.resources?.[r.id] ?? 0;
+    input.title = resourceKey(r);
+    input.addEventListener('input', () => {
+      n.resources = { ...n.resources, [r.id]: Math.max(0, parseFloat(input.value) || 0) };
+      saveToLocalStorage();
+    });
+    return input;
+  });
+
+  row.append(inputLabel, inputWeight, ...resourceInputs, selectSlot, btnRemove);
+  markIssues(row, issuesFor(n.id));
   nodesList.appendChild(row);
 }
 
@@ -350,6 +451,9 @@ function removeNode(index) {
   state.tags.forEach((t) => {
     t.nodeIds = (t.nodeIds || []).filter((id) => id !== removed.id);
   });
+  state.cannotLink = state.cannotLink.filter((pair) => !pair.includes(removed.id));
+  state.mustLink = state.mustLink.filter((pair) => !pair.includes(removed.id));
+  delete state.pinnedNodes[removed.id];
 
   rebuildNodesUI();
   renderMatrix();
@@ -408,6 +512,7 @@ function renderMatrix() {
     btnTags.addEventListener('click', () => openTagsModal(node));
     btns.append(btnLinks, btnTags);
     li.append(left, btns);
+    markIssues(li, issuesFor(node.id));
     list.appendChild(li);
   }
   matrixContainer.appendChild(list);
@@ -416,20 +521,31 @@ function renderMatrix() {
 function getLinkValue(fromId, toId) {
   const v = state.linkMatrix[`${fromId}|${toId}`];
   if (v !== undefined && v !== 0) return v;
-  if (state.symmetricLinks) return state.linkMatrix[`${toId}|${fromId}`] ?? 0;
+  if (state.linkAggregation === 'either') return state.linkMatrix[`${toId}|${fromId}`] ?? 0;
   return 0;
 }
 
 function setLinkValue(fromId, toId, val) {
   if (val !== 0) {
     state.linkMatrix[`${fromId}|${toId}`] = val;
-    if (state.symmetricLinks) state.linkMatrix[`${toId}|${fromId}`] = val;
+    if (state.linkAggregation === 'either') state.linkMatrix[`${toId}|${fromId}`] = val;
   } else {
     delete state.linkMatrix[`${fromId}|${toId}`];
-    if (state.symmetricLinks) delete state.linkMatrix[`${toId}|${fromId}`];
+    if (state.linkAggregation === 'either') delete state.linkMatrix[`${toId}|${fromId}`];
   }
 }
 
+function hasPair(pairs, a, b) {
+  return pairs.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+/** Returns `pairs` with the unordered pair (a, b) removed, then re-added when `on`. */
+function withPair(pairs, a, b, on) {
+  const rest = pairs.filter(([x, y]) => !((x === a && y === b) || (x === b && y === a)));
+  if (on) rest.push([a, b]);
+  return rest;
+}
+
 function openLinkModal(fromNode) {
   linkModalTitle.textContent = `Likeness from ${fromNode.label || fromNode.id}`;
   linkModalBody.innerHTML = '';
@@ -441,7 +557,7 @@ function openLinkModal(fromNode) {
     const table = document.createElement('table');
     table.className = 'link-modal-table';
     const thead = document.createElement('thead');
-    thead.innerHTML = '<tr><th>Person</th><th>Likeness (0-10)</th></tr>';
+    thead.innerHTML = '<tr><th>Person</th><th>Likeness (0-10)</th><th>Must be together</th><th>Never together</th></tr>';
     table.appendChild(thead);
     const tbody = document.createElement('tbody');
     for (const toNode of others) {
@@ -467,7 +583,37 @@ function openLinkModal(fromNode) {
         saveToLocalStorage();
       });
       tdInput.appendChild(inp);
-      tr.append(tdLabel, tdInput);
+      const tdTogether = document.createElement('td');
+      const cbTogether = document.createElement('input');
+      cbTogether.type = 'checkbox';
+      cbTogether.checked = hasPair(state.mustLink, fromId, toId);
+      cbTogether.title = 'Always at the same table';
+      const tdApart = document.createElement('td');
+      const cbApart = document.createElement('input');
+      cbApart.type = 'checkbox';
+      cbApart.checked = hasPair(state.cannotLink, fromId, toId);
+      cbApart.title = 'Never in the same group';
+      // A pair can't be both; ticking one clears the other.
+      cbTogether.addEventListener('change', () => {
+        state.mustLink = withPair(state.mustLink, fromId, toId, cbTogether.checked);
+        if (cbTogether.checked && cbApart.checked) {
+          cbApart.checked = false;
+          state.cannotLink = withPair(state.cannotLink, fromId, toId, false);
+        }
+        saveToLocalStorage();
+      });
+      cbApart.addEventListener('change', () => {
+        state.cannotLink = withPair(state.cannotLink, fromId, toId, cbApart.checked);
+        if (cbApart.checked && cbTogether.checked) {
+          cbTogether.checked = false;
+          state.mustLink = withPair(state.mustLink, fromId, toId, false);
+        }
+        saveToLocalStorage();
+      });
+      tdTogether.appendChild(cbTogether);
+      tdApart.appendChild(cbApart);
+      tr.append(tdLabel, tdInput, tdTogether, tdApart);
+      markIssues(tr, issuesFor(fromId, toId));
       tbody.appendChild(tr);
     }
     table.appendChild(tbody);
@@ -620,6 +766,298 @@ inputMax.addEventListener('input', () => {
   saveToLocalStorage();
 });
 
+inputGroupCount.addEventListener('input', () => {
+  state.groupCount = parseOptionalCount(inputGroupCount.value);
+  saveToLocalStorage();
+});
+
+// ── Table types (mixed table sizes) ─────────────────────────────────────────
+
+function templateLabel(index) {
+  const t = state.groupTemplates[index];
+  if (!t) return '';
+  return t.label || `${t.min}–${t.max} people`;
+}
+
+/** Largest table the guests can be seated at (table types replace min/max). */
+function getLargestTableSize() {
+  if (state.groupTemplates.length === 0) return state.maximumCombinedWeight;
+  return Math.max(...state.groupTemplates.map((t) => t.max));
+}
+
+function parseOptionalCount(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function renderTemplateRows() {
+  templatesList.innerHTML = '';
+  state.groupTemplates.forEach((t, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = t.label;
+    labelInput.placeholder = 'Round, long, sweetheart…';
+    labelInput.addEventListener('input', () => {
+      t.label = labelInput.value;
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = t.min;
+    minInput.title = 'Minimum people';
+    minInput.addEventListener('input', () => {
+      t.min = parseFloat(minInput.value) || 0;
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '1';
+    maxInput.step = '1';
+    maxInput.value = t.max;
+    maxInput.title = 'Maximum people';
+    maxInput.addEventListener('input', () => {
+      t.max = parseFloat(maxInput.value) || 0;
+      saveToLocalStorage();
+    });
+
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = '0';
+    countInput.step = '1';
+    countInput.value = t.count ?? '';
+    countInput.placeholder = '∞';
+    countInput.title = 'Number of tables of this type (blank = as many as needed)';
+    countInput.addEventListener('input', () => {
+      t.count = parseOptionalCount(countInput.value);
+      saveToLocalStorage();
+    });
+
+    const shapeSelect = document.createElement('select');
+    shapeSelect.title = 'Table shape (used for the seating diagrams)';
+    shapeSelect.add(new Option('Round', 'round'));
+    shapeSelect.add(new Option('Rectangular', 'rectangular'));
+    shapeSelect.value = t.shape;
+    shapeSelect.addEventListener('change', () => {
+      t.shape = shapeSelect.value;
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.groupTemplates.splice(index, 1);
+      renderTemplateRows();
+      saveToLocalStorage();
+    });
+
+    row.append(labelInput, minInput, maxInput, countInput, shapeSelect, btnRemove);
+    templatesList.appendChild(row);
+  });
+}
+
+btnAddTemplate.addEventListener('click', () => {
+  state.groupTemplates.push({
+    label: '',
+    min: state.minimumCombinedWeight,
+    max: state.maximumCombinedWeight,
+    count: null,
+    shape: 'round',
+  });
+  renderTemplateRows();
+  saveToLocalStorage();
+});
+
+// ── Named tables (pin guests to a table) ────────────────────────────────────
+
+function slotLabel(slot) {
+  return slot.label || slot.id;
+}
+
+function parseOptionalBound(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function renderSlotRows() {
+  slotsList.innerHTML = '';
+  state.groupSlots.forEach((slot, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = slot.label;
+    labelInput.placeholder = 'Table 1, Head table…';
+    labelInput.addEventListener('input', () => {
+      slot.label = labelInput.value;
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = slot.min ?? '';
+    minInput.placeholder = String(state.minimumCombinedWeight);
+    minInput.title = 'Minimum people (blank = global minimum)';
+    minInput.addEventListener('input', () => {
+      slot.min = parseOptionalBound(minInput.value);
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '0';
+    maxInput.step = '1';
+    maxInput.value = slot.max ?? '';
+    maxInput.placeholder = String(state.maximumCombinedWeight);
+    maxInput.title = 'Maximum people (blank = global maximum)';
+    maxInput.addEventListener('input', () => {
+      slot.max = parseOptionalBound(maxInput.value);
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.groupSlots.splice(index, 1);
+      for (const [id, slotId] of Object.entries(state.pinnedNodes)) {
+        if (slotId === slot.id) delete state.pinnedNodes[id];
+      }
+      renderSlotRows();
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    row.append(labelInput, minInput, maxInput, btnRemove);
+    slotsList.appendChild(row);
+  });
+}
+
+btnAddSlot.addEventListener('click', () => {
+  const id = `s${nextSlotId++}`;
+  state.groupSlots.push({ id, label: `Table ${state.groupSlots.length + 1}`, min: null, max: null });
+  renderSlotRows();
+  rebuildNodesUI();
+  saveToLocalStorage();
+});
+
+// ── Resources (extra per-guest amounts with per-table limits) ───────────────
+
+/** Key of a resource in the solver's nodeWeight maps, resourceLimits and resourceSums. */
+function resourceKey(resource) {
+  return resource.name.trim() || resource.id;
+}
+
+/** Resource names the solver cannot tell apart: the reserved primary key, or a name used twice. */
+function resourceNameIssues() {
+  const issues = [];
+  const seen = new Set();
+  for (const resource of state.resources) {
+    const key = resourceKey(resource);
+    if (key === PRIMARY_RESOURCE) {
+      issues.push({ code: 'resource', severity: 'error', nodeIds: [], message: `The resource name "${key}" is reserved for the number of people; pick another name.` });
+    } else if (seen.has(key)) {
+      issues.push({ code: 'resource', severity: 'error', nodeIds: [], message: `Two resources are named "${key}"; give each a different name.` });
+    }
+    seen.add(key);
+  }
+  return issues;
+}
+
+/** Nodes as passed to the solver: with resources, nodeWeight becomes a map whose primary entry is the node weight. */
+function getSolverNodes() {
+  if (state.resources.length === 0) return state.nodes;
+  return state.nodes.map((n) => ({
+    id: n.id,
+    label: n.label,
+    nodeWeight: {
+      [PRIMARY_RESOURCE]: n.nodeWeight,
+      ...Object.fromEntries(state.resources.map((r) => [resourceKey(r), n.resources?.[r.id] ?? 0])),
+    },
+  }));
+}
+
+function renderResourceRows() {
+  resourcesList.innerHTML = '';
+  state.resources.forEach((resource, index) => {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = resource.name;
+    nameInput.placeholder = 'Vegetarian meals, Wheelchairs…';
+    nameInput.addEventListener('input', () => {
+      resource.name = nameInput.value;
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    const minInput = document.createElement('input');
+    minInput.type = 'number';
+    minInput.min = '0';
+    minInput.step = '1';
+    minInput.value = resource.min ?? '';
+    minInput.placeholder = 'Min';
+    minInput.title = 'Minimum per table (blank = none)';
+    minInput.addEventListener('input', () => {
+      resource.min = parseOptionalBound(minInput.value);
+      saveToLocalStorage();
+    });
+
+    const maxInput = document.createElement('input');
+    maxInput.type = 'number';
+    maxInput.min = '0';
+    maxInput.step = '1';
+    maxInput.value = resource.max ?? '';
+    maxInput.placeholder = 'Max';
+    maxInput.title = 'Maximum per table (blank = none)';
+    maxInput.addEventListener('input', () => {
+      resource.max = parseOptionalBound(maxInput.value);
+      saveToLocalStorage();
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.type = 'button';
+    btnRemove.className = 'danger';
+    btnRemove.textContent = 'Remove';
+    btnRemove.tabIndex = -1;
+    btnRemove.addEventListener('click', () => {
+      state.resources.splice(index, 1);
+      for (const n of state.nodes) delete n.resources?.[resource.id];
+      renderResourceRows();
+      rebuildNodesUI();
+      saveToLocalStorage();
+    });
+
+    row.append(nameInput, minInput, maxInput, btnRemove);
+    resourcesList.appendChild(row);
+  });
+}
+
+btnAddResource.addEventListener('click', () => {
+  const id = `r${nextResourceId++}`;
+  state.resources.push({ id, name: '', min: null, max: null });
+  renderResourceRows();
+  rebuildNodesUI();
+  saveToLocalStorage();
+});
+
 if (inputSplittingPremium) {
   inputSplittingPremium.addEventListener('input', () => {
     state.splittingPremiumPoints = Math.max(0, parseInt(inputSplittingPremium.value, 10) || 0);
@@ -628,7 +1066,7 @@ if (inputSplittingPremium) {
   });
 }
 
-// Wedding: allowFreeNodes always false, symmetricLinks always true (no UI for them)
+// Wedding: allowFreeNodes always false, linkAggregation always "either" (no UI for them)
 
 // ── Reset / clear actions ────────────────────────────────────────────────────
 
@@ -706,7 +1144,7 @@ function openGenerateTableModal() {
   function renderBody() {
     generateTableModalBody.innerHTML = '';
     const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
-    const maxW = state.maximumCombinedWeight;
+    const maxW = getLargestTableSize();
     const currentSum = generateTableCurrentIds.reduce((s, id) => s + (state.nodes.find((n) => n.id === id)?.nodeWeight ?? 0), 0);
 
     const capLine = document.createElement('p');
@@ -800,57 +1238,433 @@ if (generateTableModalOverlay) generateTableModalOverlay.hidden = true;
 
 // ── Run solver ──────────────────────────────────────────────────────────────
 
-btnRun.addEventListener('click', () => {
+/** The time budget only bounds simulated annealing. */
+function syncSearchInputs() {
+  inputAlgorithm.value = state.algorithm;
+  inputTimeLimit.value = state.timeLimitMs / 1000;
+  inputTimeLimit.disabled = state.algorithm !== 'annealing';
+  inputEffort.value = state.effort;
+  inputMinDistance.value = state.minSolutionDistance;
+  inputStability.value = state.stabilityWeight;
+}
+
+inputAlgorithm.addEventListener('change', () => {
+  state.algorithm = inputAlgorithm.value;
+  syncSearchInputs();
+  saveToLocalStorage();
+});
+
+inputEffort.addEventListener('change', () => {
+  state.effort = inputEffort.value;
+  saveToLocalStorage();
+});
+
+inputMinDistance.addEventListener('input', () => {
+  const pairs = parseInt(inputMinDistance.value, 10);
+  state.minSolutionDistance = Number.isInteger(pairs) && pairs >= 0 ? pairs : 0;
+  saveToLocalStorage();
+});
+
+inputTimeLimit.addEventListener('input', () => {
+  const seconds = parseFloat(inputTimeLimit.value);
+  if (Number.isFinite(seconds) && seconds > 0) state.timeLimitMs = Math.round(seconds * 1000);
+  saveToLocalStorage();
+});
+
+inputStability.addEventListener('input', () => {
+  const weight = parseFloat(inputStability.value);
+  if (Number.isFinite(weight) && weight >= 0) state.stabilityWeight = weight;
+  saveToLocalStorage();
+});
+
+/**
+ * Issues with the current input, as the Run button checks it: resource names plus
+ * validateIssues on `linkMatrix` (the effective links) and the solver `options`.
+ */
+function inputIssues(linkMatrix, options) {
+  return [
+    ...resourceNameIssues(),
+    ...validateIssues(getSolverNodes(), linkMatrix, state.minimumCombinedWeight, state.maximumCombinedWeight, options),
+  ];
+}
+
+/** Validates and starts a run; `extraOptions` are merged over the UI options. */
+function runSolver(extraOptions = {}) {
   hideErrors();
   const effectiveMatrix = getEffectiveLinkMatrix();
-  const errors = validate(
-    state.nodes,
-    effectiveMatrix,
-    state.minimumCombinedWeight,
-    state.maximumCombinedWeight
-  );
-  if (errors.length > 0) {
-    showErrors(errors);
+  const options = { ...getSolverOptions(), ...extraOptions };
+  const issues = inputIssues(effectiveMatrix, options);
+  showValidationIssues(issues);
+  if (issues.some((i) => i.severity === 'error')) return;
+
+  startSolve(effectiveMatrix, options);
+}
+
+btnRun.addEventListener('click', () => runSolver());
+
+// Warm start from the selected solution, penalizing every guest that moves
+btnReoptimize.addEventListener('click', () => {
+  const previous = state.solutions && state.solutions[state.selectedSolution];
+  if (!previous) return;
+  runSolver({
+    previousSolution: { groups: previous.groups, freeNodes: previous.freeNodes },
+    stabilityWeight: state.stabilityWeight,
+  });
+});
+
+/** Run in progress: its worker and the best solutions it last reported. */
+let activeSolve = null;
+
+function showSolveResult(result) {
+  if (result.errors && result.errors.length > 0) {
+    showErrors(result.errors);
     return;
   }
 
+  state.solutions = result.solutions;
+  state.selectedSolution = null;
+  renderResults(result.solutions, result.optimal, result.gap, result.components);
+}
+
+function formatProgress({ phase, seedsDone, seedsTotal, componentsDone, componentsTotal, bestScore }) {
+  const best = bestScore == null ? '' : ` · best optimization level ${+bestScore.toFixed(2)}`;
+  if (phase === 'greedy') return `Seating attempts ${seedsDone}/${seedsTotal}${best}`;
+  if (phase === 'annealing') return `Simulated annealing…${best}`;
+  if (phase === 'exact') return `Checking for a better seating…${best}`;
+  if (phase === 'warm-start') return `Adapting the previous seating…${best}`;
+  if (phase === 'components') return `Seating circles of guests on their own ${componentsDone}/${componentsTotal}${best}`;
+  return `Checked every seating${best}`;
+}
+
+function finishSolve() {
+  if (activeSolve) activeSolve.worker.terminate();
+  activeSolve = null;
+  if (solverLoading) solverLoading.hidden = true;
+}
+
+function startSolve(linkMatrix, options) {
+  const job = {
+    nodes: getSolverNodes(),
+    linkMatrix,
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+    options,
+  };
   if (solverLoading) solverLoading.hidden = false;
-  setTimeout(() => {
-    try {
-      const result = computeGroups(
-        state.nodes,
-        effectiveMatrix,
-        state.minimumCombinedWeight,
-        state.maximumCombinedWeight,
-        { allowFreeNodes: false, symmetricLinks: true, balanceGroupWeightsFactor: 1, bonusPerGroup: state.splittingPremiumPoints, fixedGroups: state.fixedGroups }
-      );
-
-      if (result.errors && result.errors.length > 0) {
-        showErrors(result.errors);
-        return;
+  if (solverProgress) solverProgress.textContent = '';
+
+  // Without worker support, solve on the page as before (no progress or cancel)
+  if (typeof Worker === 'undefined') {
+    setTimeout(() => {
+      try {
+        showSolveResult(computeGroups(job.nodes, job.linkMatrix, job.minCombined, job.maxCombined, job.options));
+      } finally {
+        if (solverLoading) solverLoading.hidden = true;
       }
+    }, 0);
+    return;
+  }
 
-      state.solutions = result.solutions;
+  const run = { worker: new Worker(new URL('../solverWorker.js', import.meta.url), { type: 'module' }), latest: null };
+  activeSolve = run;
+  run.worker.addEventListener('message', (e) => {
+    if (activeSolve !== run) return;
+    const msg = e.data;
+    if (msg.type === 'progress') {
+      run.latest = msg.solutions;
+      if (solverProgress) solverProgress.textContent = formatProgress(msg);
+    } else if (msg.type === 'done') {
+      finishSolve();
+      showSolveResult(msg.result);
+    }
+  });
+  run.worker.addEventListener('error', (e) => {
+    if (activeSolve !== run) return;
+    finishSolve();
+    showErrors([`Solver failed: ${e.message}`]);
+  });
+  run.worker.postMessage(job);
+}
+
+// Cancelling keeps whatever the worker had found so far
+if (btnCancelSolve) {
+  btnCancelSolve.addEventListener('click', () => {
+    if (!activeSolve) return;
+    const latest = activeSolve.latest;
+    finishSolve();
+    if (latest && latest.length > 0) {
+      state.solutions = latest;
       state.selectedSolution = null;
-      renderResults(result.solutions, result.optimal);
-    } finally {
-      if (solverLoading) solverLoading.hidden = true;
+      renderResults(latest, false);
     }
-  }, 0);
+  });
+}
+
+// ── Floor plan ──────────────────────────────────────────────────────────────
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FLOOR_WIDTH = 600;
+const FLOOR_TABLES_PER_ROW = 6;
+
+/** Starting spot of the i-th table: the head table at the top, the others in rows below it. */
+function defaultFloorPosition(i) {
+  if (i === 0) return { x: FLOOR_WIDTH / 2, y: 40 };
+  const col = (i - 1) % FLOOR_TABLES_PER_ROW;
+  const row = Math.floor((i - 1) / FLOOR_TABLES_PER_ROW);
+  return { x: 60 + col * ((FLOOR_WIDTH - 120) / (FLOOR_TABLES_PER_ROW - 1)), y: 130 + row * 90 };
+}
+
+function selectedSolution() {
+  return state.solutions && state.selectedSolution != null ? state.solutions[state.selectedSolution] : null;
+}
+
+/** Converts a pointer event to floor plan coordinates. */
+function floorPoint(e) {
+  const ctm = floorPlanSvg.getScreenCTM && floorPlanSvg.getScreenCTM();
+  if (!ctm) return { x: e.clientX, y: e.clientY };
+  const p = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+  return { x: p.x, y: p.y };
+}
+
+/** Dragging a table moves its spot; dropping it re-seats the tables on the new layout. */
+function makeFloorTableDraggable(el, pos) {
+  el.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    if (el.setPointerCapture) el.setPointerCapture(e.pointerId);
+    const start = floorPoint(e);
+    const origin = { x: pos.x, y: pos.y };
+    const move = (ev) => {
+      const p = floorPoint(ev);
+      pos.x = Math.round(Math.max(0, Math.min(FLOOR_WIDTH, origin.x + p.x - start.x)));
+      pos.y = Math.round(Math.max(0, origin.y + p.y - start.y));
+      el.setAttribute('transform', `translate(${pos.x} ${pos.y})`);
+    };
+    // A cancelled drag (touch scroll, lost capture) ends like a release: the table stays where it was dragged
+    const end = (ev) => {
+      el.removeEventListener('pointermove', move);
+      el.removeEventListener('pointerup', end);
+      el.removeEventListener('pointercancel', end);
+      if (el.releasePointerCapture && el.hasPointerCapture(ev.pointerId)) el.releasePointerCapture(ev.pointerId);
+      saveToLocalStorage();
+      renderFloorPlan(selectedSolution());
+    };
+    el.addEventListener('pointermove', move);
+    el.addEventListener('pointerup', end);
+    el.addEventListener('pointercancel', end);
+  });
+}
+
+function svgElement(name, attrs) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+/** Head table choices: one per table of `sol`, keyed by its first guest. */
+function syncHeadTableSelect(sol) {
+  inputHeadTable.innerHTML = '';
+  inputHeadTable.add(new Option('None', ''));
+  const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+  let selected = '';
+  sol.groupDetails.forEach((gd, gi) => {
+    const names = gd.nodeIds.slice(0, 3).map(idToLabel).join(', ');
+    inputHeadTable.add(new Option(`${gd.label ?? gi + 1}: ${names}${gd.nodeIds.length > 3 ? '…' : ''}`, gd.nodeIds[0]));
+    if (gd.nodeIds.includes(state.floorPlan.headGuest)) selected = gd.nodeIds[0];
+  });
+  inputHeadTable.value = selected;
+}
+
+/**
+ * Places the tables of `sol` on the floor plan with placeGroups (the head table's group
+ * anchored to the top spot) and draws them; hidden without a solution.
+ */
+function renderFloorPlan(sol) {
+  floorPlanFieldset.hidden = !sol;
+  floorPlanSvg.innerHTML = '';
+  if (!sol) return;
+
+  const positions = state.floorPlan.positions;
+  while (positions.length < sol.groups.length) {
+    positions.push({ id: `p${positions.length + 1}`, ...defaultFloorPosition(positions.length) });
+  }
+  syncHeadTableSelect(sol);
+  const head = state.floorPlan.headGuest;
+  const anchors = sol.groups.some((g) => g.includes(head)) ? [{ positionId: positions[0].id, nodeIds: [head] }] : [];
+  const { placements, score, errors } = placeGroups(sol, getEffectiveLinkMatrix(), { positions, anchors });
+  if (errors.length > 0) {
+    floorPlanHint.textContent = errors.join(' ');
+    return;
+  }
+  floorPlanHint.textContent = `Likeness between neighboring tables: ${+score.toFixed(2)}. Drag tables to match the room.`;
+
+  const height = Math.max(400, ...positions.map((p) => p.y + 50));
+  floorPlanSvg.setAttribute('viewBox', `0 0 ${FLOOR_WIDTH} ${height}`);
+  const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+  const groupAt = new Map(placements.map((p) => [p.positionId, p.groupIndex]));
+  positions.forEach((pos, pi) => {
+    const gi = groupAt.get(pos.id);
+    const color = gi != null ? GROUP_COLORS[gi % GROUP_COLORS.length] : '#d4b896';
+    const table = svgElement('g', { class: 'floor-table', transform: `translate(${pos.x} ${pos.y})` });
+    const shape = pi === 0
+      ? svgElement('rect', { x: -50, y: -18, width: 100, height: 36, rx: 6 })
+      : svgElement('circle', { r: 26 });
+    shape.setAttribute('fill', gi != null ? color + '33' : 'none');
+    shape.setAttribute('stroke', color);
+    if (gi == null) shape.setAttribute('stroke-dasharray', '4 3');
+    const label = svgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+    label.textContent = gi != null ? String(sol.groupDetails[gi].label ?? gi + 1) : '';
+    const title = svgElement('title', {});
+    title.textContent = gi != null
+      ? `Table ${sol.groupDetails[gi].label ?? gi + 1}: ${sol.groups[gi].map(idToLabel).join(', ')}`
+      : 'Empty spot';
+    table.append(shape, label, title);
+    makeFloorTableDraggable(table, pos);
+    floorPlanSvg.appendChild(table);
+  });
+}
+
+inputHeadTable.addEventListener('change', () => {
+  state.floorPlan.headGuest = inputHeadTable.value || null;
+  saveToLocalStorage();
+  renderFloorPlan(selectedSolution());
 });
 
+btnResetFloorPlan.addEventListener('click', () => {
+  state.floorPlan.positions = [];
+  saveToLocalStorage();
+  renderFloorPlan(selectedSolution());
+});
+
+// ── Seating diagrams ────────────────────────────────────────────────────────
+
+const SEAT_DIAGRAM_SIZE = 96;
+
+/** Position of seat `i` of `count` around a diagram table of the given shape. */
+function seatPoint(i, count, shape) {
+  const c = SEAT_DIAGRAM_SIZE / 2;
+  if (shape !== 'rectangular') {
+    const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+    return { x: c + 36 * Math.cos(angle), y: c + 36 * Math.sin(angle) };
+  }
+  // Same numbering as arrangeSeats: along the top side, then back along the bottom one
+  const top = Math.ceil(count / 2);
+  const step = Math.min(16, 80 / top);
+  const col = i < top ? i : top - 1 - (i - top);
+  return { x: c + (col - (top - 1) / 2) * step, y: i < top ? c - 24 : c + 24 };
+}
+
+/**
+ * Small diagram of the table of `gd`, seated by arrangeSeats under `linkMatrix` and the
+ * solver `options`, one dot per seat.
+ */
+function renderSeatingDiagram(gd, color, solverNodes, linkMatrix, options) {
+  const shape = state.groupTemplates[gd.templateIndex]?.shape ?? 'round';
+  const group = gd.nodeIds.map((id) => solverNodes.find((n) => n.id === id) ?? id);
+  const { seats, score } = arrangeSeats(group, linkMatrix, { ...options, shape });
+  const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+
+  const svg = svgElement('svg', {
+    class: 'seating-diagram',
+    width: SEAT_DIAGRAM_SIZE,
+    height: SEAT_DIAGRAM_SIZE,
+    viewBox: `0 0 ${SEAT_DIAGRAM_SIZE} ${SEAT_DIAGRAM_SIZE}`,
+  });
+  const c = SEAT_DIAGRAM_SIZE / 2;
+  const table = shape === 'rectangular'
+    ? svgElement('rect', { x: c - 44, y: c - 14, width: 88, height: 28, rx: 3 })
+    : svgElement('circle', { cx: c, cy: c, r: 26 });
+  table.setAttribute('fill', color + '33');
+  table.setAttribute('stroke', color);
+  const title = svgElement('title', {});
+  title.textContent = `Likeness between neighbors: ${+score.toFixed(2)}`;
+  table.appendChild(title);
+  svg.appendChild(table);
+
+  seats.forEach((id, i) => {
+    const { x, y } = seatPoint(i, seats.length, shape);
+    const seat = svgElement('g', { class: 'seat', transform: `translate(${x} ${y})` });
+    const dot = svgElement('circle', { r: 7, fill: '#fff', stroke: color });
+    const initial = svgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+    initial.textContent = String(idToLabel(id)).charAt(0).toUpperCase();
+    const name = svgElement('title', {});
+    name.textContent = idToLabel(id);
+    seat.append(dot, initial, name);
+    svg.appendChild(seat);
+  });
+  return svg;
+}
+
 // ── Results UI ──────────────────────────────────────────────────────────────
 
-function renderResults(solutions, optimal) {
+/** Per-node explanation of `solution` under the current link weights and options. */
+function explainForUi(solution) {
+  return explainSolution(getSolverNodes(), getEffectiveLinkMatrix(), solution, {
+    ...getSolverOptions(),
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+  });
+}
+
+/** Tooltip text for node `id` of `solution` (results tables and graph). */
+function nodeTooltip(id, info, solution) {
+  const idToLabel = (nodeId) => state.nodes.find((n) => n.id === nodeId)?.label || nodeId;
+  const groupName = (gi) => (gi === -1 ? 'unseated' : solution.groupDetails[gi]?.label ?? `table ${gi + 1}`);
+  const lines = [];
+  if (solution.movedNodes && solution.movedNodes.includes(id)) lines.push('Moved since the seating you re-optimized');
+  lines.push(info.groupIndex === -1 ? 'Unseated guest' : `Adds ${info.contribution} to ${groupName(info.groupIndex)}`);
+  if (info.strongestInGroup) {
+    lines.push(`Strongest link here: ${idToLabel(info.strongestInGroup.nodeId)} (${info.strongestInGroup.linkWeight})`);
+  }
+  if (info.strongestOutOfGroup) {
+    const { nodeId, linkWeight, groupIndex } = info.strongestOutOfGroup;
+    lines.push(`Strongest link elsewhere: ${idToLabel(nodeId)} (${linkWeight}, ${groupName(groupIndex)})`);
+  }
+  if (info.bestMove) {
+    const { toGroup, delta } = info.bestMove;
+    const where = toGroup === -1 ? 'leave unseated' : `move to ${groupName(toGroup)}`;
+    lines.push(`Best single move: ${where} (${delta >= 0 ? '+' : ''}${delta})`);
+  } else {
+    lines.push('No feasible single move');
+  }
+  return lines.join('\n');
+}
+
+function renderResults(solutions, optimal, gap = null, components = null) {
   resultsFieldset.hidden = false;
   resultsDiv.innerHTML = '';
+  reoptimizeBar.hidden = true;
 
   if (solutions.length === 0) {
-    resultsDiv.innerHTML = '<p style="color:var(--text-muted);padding:8px;">No feasible table combination found. Try relaxing table size or adjusting guest counts.</p>';
+    const apartHint = state.cannotLink.length + state.mustLink.length > 0 ? ' The "must be together" and "never together" pairs may also be impossible to meet with these tables.' : '';
+    const { reasons, suggestion } = diagnose(
+      getSolverNodes(),
+      getEffectiveLinkMatrix(),
+      state.minimumCombinedWeight,
+      state.maximumCombinedWeight,
+      getSolverOptions()
+    );
+    if (reasons.length > 0) {
+      showErrors([...reasons.map((r) => r.message), ...(suggestion ? [suggestion.message] : [])]);
+      resultsDiv.innerHTML = '<p style="color:var(--text-muted);padding:8px;">No feasible table combination found; the reasons are listed above.</p>';
+    } else {
+      resultsDiv.innerHTML = `<p style="color:var(--text-muted);padding:8px;">No feasible table combination found. Try relaxing table size or adjusting guest counts.${apartHint}</p>`;
+    }
     colorGraphBySolution(null);
+    renderFloorPlan(null);
     return;
   }
 
+  if (components) {
+    const proven = components.filter((c) => c.optimal).length;
+    const note = document.createElement('p');
+    note.className = 'hint';
+    note.textContent = `Guests form ${components.length} separate circles with no likeness between them; each was seated on its own (${proven} proven best) and then shared tables.`;
+    resultsDiv.appendChild(note);
+  }
+
+  // Shared by the seating diagrams of every card, built when the first one is drawn
+  let seatingInput = null;
+
   solutions.forEach((sol, idx) => {
     const card = document.createElement('div');
     card.className = 'solution-card';
@@ -860,17 +1674,36 @@ function renderResults(solutions, optimal) {
 
     const freeCount = (sol.freeNodes && sol.freeNodes.length) || 0;
     const freeLabel = freeCount > 0 ? ` | ${freeCount} unseated` : '';
+    const movedLabel = sol.movedNodes ? ` | ${sol.movedNodes.length} moved` : '';
 
     header.innerHTML = `
-      <span><span class="rank">#${idx + 1}</span>${idx === 0 && optimal ? '<span class="optimal-badge">Best</span>' : ''}</span>
-      <span class="total-weight">Optimization Level: ${sol.totalWeight}${freeLabel}</span>
+      <span><span class="rank">#${idx + 1}</span>${idx === 0 && optimal ? '<span class="optimal-badge">Best</span>' : ''}${idx === 0 && !optimal && gap != null ? `<span class="gap-badge" title="The best possible seating scores at most this much higher">gap ≤ ${+gap.toFixed(2)}</span>` : ''}</span>
+      ${idx > 0 && sol.distanceToBest != null ? `<span class="distance-badge" title="Guest pairs sharing a table in only one of #1 and this seating">${sol.distanceToBest} guest pairs differ from #1</span>` : ''}
+      <span class="total-weight">Optimization Level: ${sol.totalWeight}${freeLabel}${movedLabel}</span>
     `;
 
     const body = document.createElement('div');
     body.className = 'solution-body';
 
     const idToLabel = (id) => state.nodes.find((n) => n.id === id)?.label || id;
+    const moved = new Set(sol.movedNodes || []);
+    const guestSpan = (id) => {
+      const span = document.createElement('span');
+      span.textContent = idToLabel(id);
+      span.dataset.nodeId = id;
+      if (moved.has(id)) span.classList.add('moved-node');
+      return span;
+    };
+    // Explaining is slow on large guest lists, so each card fills in its tooltips on first hover
+    body.addEventListener('mouseover', () => {
+      const explanation = explainForUi(sol);
+      for (const span of body.querySelectorAll('[data-node-id]')) {
+        const info = explanation[span.dataset.nodeId];
+        if (info) span.title = nodeTooltip(span.dataset.nodeId, info, sol);
+      }
+    }, { once: true });
     const groupKey = (ids) => [...ids].sort().join(',');
+    const solverNodes = getSolverNodes();
     const nodeIdToFixedColor = {};
     state.fixedGroups.forEach((groupIds, fi) => {
       const c = GROUP_COLORS[fi % GROUP_COLORS.length];
@@ -878,15 +1711,30 @@ function renderResults(solutions, optimal) {
     });
 
     const table = document.createElement('table');
-    table.innerHTML = '<thead><tr><th>Table</th><th>People</th><th>Amount people at the table</th><th>Likeness between people</th><th></th></tr></thead><tbody></tbody>';
+    const resourceHeaders = state.resources.map((r) => `<th>${resourceKey(r)}</th>`).join('');
+    table.innerHTML = `<thead><tr><th>Table</th><th>People</th><th>Seating</th><th>Amount people at the table</th>${resourceHeaders}<th>Likeness between people</th><th></th></tr></thead><tbody></tbody>`;
     const tbody = table.querySelector('tbody');
+    // Seating every table tries many orders, so each card draws its diagrams when first opened or hovered
+    const seatingCells = [];
+    let seated = false;
+    const drawSeating = () => {
+      if (seated) return;
+      seated = true;
+      if (!seatingInput) seatingInput = { linkMatrix: getEffectiveLinkMatrix(), options: getSolverOptions() };
+      for (const { cell, gd, color } of seatingCells) {
+        cell.appendChild(renderSeatingDiagram(gd, color, solverNodes, seatingInput.linkMatrix, seatingInput.options));
+      }
+    };
+    header.addEventListener('mouseenter', drawSeating, { once: true });
     sol.groupDetails.forEach((gd, gi) => {
       const color = GROUP_COLORS[gi % GROUP_COLORS.length];
       const tr = document.createElement('tr');
       tr.innerHTML = `
-        <td><span style="display:inline-block;width:12px;height:12px;border-radius:50%;background:${color};margin-right:6px;vertical-align:middle;"></span>${gi + 1}</td>
+        <td><span style="display:inline-block;width:12px;height:12px;border-radius:50%;background:${color};margin-right:6px;vertical-align:middle;"></span>${gd.label ?? gi + 1}${gd.templateIndex != null ? ` <span class="table-type">${templateLabel(gd.templateIndex)}</span>` : ''}</td>
         <td></td>
+        <td class="seating-cell"></td>
         <td>${gd.nodeWeightSum}</td>
+        ${state.resources.map((r) => `<td>${gd.resourceSums?.[resourceKey(r)] ?? 0}</td>`).join('')}
         <td>${gd.combinedWeight}</td>
         <td></td>`;
       const rowKey = groupKey(gd.nodeIds);
@@ -899,11 +1747,10 @@ function renderResults(solutions, optimal) {
       const tdPeople = tr.cells[1];
       gd.nodeIds.forEach((id, i) => {
         if (i > 0) tdPeople.appendChild(document.createTextNode(', '));
-        const span = document.createElement('span');
-        span.textContent = idToLabel(id);
+        const span = guestSpan(id);
         const fixedColor = nodeIdToFixedColor[id];
         if (fixedColor) {
-          span.className = 'fixed-guest-name';
+          span.classList.add('fixed-guest-name');
           span.style.color = fixedColor;
         }
         tdPeople.appendChild(span);
@@ -923,6 +1770,7 @@ function renderResults(solutions, optimal) {
         tr.style.backgroundColor = newFixedColor + '22';
         tr.classList.add('fixed-table-row');
       });
+      seatingCells.push({ cell: tr.cells[2], gd, color });
       tr.querySelector('td:last-child').appendChild(fixBtn);
       tbody.appendChild(tr);
     });
@@ -931,8 +1779,11 @@ function renderResults(solutions, optimal) {
     if (freeCount > 0) {
       const freeBanner = document.createElement('div');
       freeBanner.className = 'free-nodes-banner';
-      const freeLabels = sol.freeNodes.map(idToLabel).join(', ');
-      freeBanner.innerHTML = `<strong>Unseated:</strong> ${freeLabels}`;
+      freeBanner.innerHTML = '<strong>Unseated:</strong> ';
+      sol.freeNodes.forEach((id, i) => {
+        if (i > 0) freeBanner.appendChild(document.createTextNode(', '));
+        freeBanner.appendChild(guestSpan(id));
+      });
       body.appendChild(freeBanner);
     }
 
@@ -943,14 +1794,18 @@ function renderResults(solutions, optimal) {
       for (const h of resultsDiv.querySelectorAll('.solution-header')) h.classList.remove('selected');
 
       if (!wasOpen) {
+        drawSeating();
         body.classList.add('open');
         header.classList.add('selected');
         state.selectedSolution = idx;
         colorGraphBySolution(sol);
+        renderFloorPlan(sol);
       } else {
         state.selectedSolution = null;
         colorGraphBySolution(null);
+        renderFloorPlan(null);
       }
+      reoptimizeBar.hidden = state.selectedSolution == null;
     });
 
     card.append(header, body);
@@ -973,19 +1828,60 @@ function hideErrors() {
   validationErrors.innerHTML = '';
 }
 
+/** Issues from the last validation, marked on the guest rows and link entries they name. */
+let validationIssues = [];
+
+function issuesFor(...ids) {
+  return validationIssues.filter((i) => ids.every((id) => i.nodeIds.includes(id)));
+}
+
+/** Highlights `el` for `issues` (errors over warnings) with their messages as its tooltip. */
+function markIssues(el, issues) {
+  if (issues.length === 0) return;
+  el.classList.add(issues.some((i) => i.severity === 'error') ? 'has-error' : 'has-warning');
+  el.title = issues.map((i) => i.message).join('\n');
+}
+
+/** Marks the rows behind each issue; only issues without guests are listed as text. */
+function showValidationIssues(issues) {
+  validationIssues = issues;
+  rebuildNodesUI();
+  renderMatrix();
+  const messages = issues.filter((i) => i.nodeIds.length === 0).map((i) => i.message);
+  const flagged = new Set(issues.flatMap((i) => i.nodeIds)).size;
+  if (flagged > 0) messages.push(`${flagged} guest(s) need attention; hover the highlighted rows for details.`);
+  if (messages.length > 0) showErrors(messages);
+}
+
 // ── Local storage ───────────────────────────────────────────────────────────
 
 function getSerializableState() {
   return {
-    nodes: state.nodes.map((n) => ({ id: n.id, label: n.label, nodeWeight: n.nodeWeight })),
+    nodes: state.nodes.map((n) => ({ id: n.id, label: n.label, nodeWeight: n.nodeWeight, resources: { ...n.resources } })),
     linkWeights: matrixToList(state.linkMatrix),
     minimumCombinedWeight: state.minimumCombinedWeight,
     maximumCombinedWeight: state.maximumCombinedWeight,
+    groupTemplates: state.groupTemplates.map((t) => ({ label: t.label, min: t.min, max: t.max, count: t.count, shape: t.shape })),
+    groupCount: state.groupCount,
     allowFreeNodes: false,
-    symmetricLinks: true,
+    linkAggregation: 'either',
+    cannotLink: state.cannotLink.map((pair) => pair.slice()),
+    mustLink: state.mustLink.map((pair) => pair.slice()),
+    algorithm: state.algorithm,
+    timeLimitMs: state.timeLimitMs,
+    effort: state.effort,
+    minSolutionDistance: state.minSolutionDistance,
+    stabilityWeight: state.stabilityWeight,
+    groupSlots: state.groupSlots.map((slot) => ({ id: slot.id, label: slot.label, min: slot.min, max: slot.max })),
+    pinnedNodes: { ...state.pinnedNodes },
+    resources: state.resources.map((r) => ({ id: r.id, name: r.name, min: r.min, max: r.max })),
     tags: state.tags.map((t) => ({ id: t.id, name: t.name, color: t.color, bonus: t.bonus ?? 2, nodeIds: (t.nodeIds || []).slice() })),
     splittingPremiumPoints: state.splittingPremiumPoints,
     fixedGroups: state.fixedGroups.map((g) => g.slice()),
+    floorPlan: {
+      positions: state.floorPlan.positions.map((p) => ({ id: p.id, x: p.x, y: p.y })),
+      headGuest: state.floorPlan.headGuest,
+    },
   };
 }
 
@@ -1012,6 +1908,9 @@ function restoreFromLocalStorage() {
 
 btnSave.addEventListener('click', () => {
   const data = getSerializableState();
+  // The selected solution travels with the data so it can be re-scored (or hand-edited) on load
+  const selected = state.solutions && state.solutions[state.selectedSolution];
+  if (selected) data.solution = { groups: selected.groups, freeNodes: selected.freeNodes };
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -1050,17 +1949,64 @@ function loadData(data) {
     id: n.id,
     label: n.label || n.id,
     nodeWeight: n.nodeWeight != null && n.nodeWeight >= 1 ? n.nodeWeight : 1,
+    resources: { ...n.resources },
   }));
 
   state.linkMatrix = buildLinkMatrix(data.linkWeights || []);
   state.minimumCombinedWeight = data.minimumCombinedWeight ?? 7;
   state.maximumCombinedWeight = data.maximumCombinedWeight ?? 10;
+  state.groupTemplates = (data.groupTemplates || []).map((t) => ({
+    label: t.label || '',
+    min: t.min ?? 0,
+    max: t.max ?? state.maximumCombinedWeight,
+    count: t.count ?? null,
+    shape: t.shape === 'rectangular' ? 'rectangular' : 'round',
+  }));
   state.splittingPremiumPoints = data.splittingPremiumPoints ?? 5;
+  state.groupCount = data.groupCount ?? null;
   state.allowFreeNodes = false;
-  state.symmetricLinks = true;
+  state.linkAggregation = 'either';
 
   const nodeIdSet = new Set(state.nodes.map((n) => n.id));
+  state.cannotLink = (data.cannotLink || []).filter((pair) => Array.isArray(pair) && pair.every((id) => nodeIdSet.has(id)));
+  state.mustLink = (data.mustLink || []).filter((pair) => Array.isArray(pair) && pair.every((id) => nodeIdSet.has(id)));
+  state.algorithm = data.algorithm === 'annealing' ? 'annealing' : 'greedy';
+  state.timeLimitMs = data.timeLimitMs > 0 ? data.timeLimitMs : 2000;
+  state.effort = Object.hasOwn(EFFORT_PRESETS, data.effort) ? data.effort : 'normal';
+  state.stabilityWeight = Number.isFinite(data.stabilityWeight) && data.stabilityWeight >= 0 ? data.stabilityWeight : 10;
+  state.minSolutionDistance = Number.isInteger(data.minSolutionDistance) && data.minSolutionDistance > 0 ? data.minSolutionDistance : 0;
+  state.groupSlots = (data.groupSlots || []).filter((slot) => slot && slot.id != null).map((slot) => ({
+    id: String(slot.id),
+    label: slot.label || '',
+    min: slot.min ?? null,
+    max: slot.max ?? null,
+  }));
+  const slotIdSet = new Set(state.groupSlots.map((slot) => slot.id));
+  state.pinnedNodes = Object.fromEntries(
+    Object.entries(data.pinnedNodes || {}).filter(([id, slotId]) => nodeIdSet.has(id) && slotIdSet.has(slotId))
+  );
+  const slotNumericIds = state.groupSlots
+    .map((slot) => parseInt(slot.id.replace(/\D/g, ''), 10))
+    .filter((v) => !isNaN(v));
+  nextSlotId = slotNumericIds.length > 0 ? Math.max(...slotNumericIds) + 1 : 1;
+  state.resources = (data.resources || []).filter((r) => r && r.id != null).map((r) => ({
+    id: String(r.id),
+    name: r.name || '',
+    min: r.min ?? null,
+    max: r.max ?? null,
+  }));
+  const resourceNumericIds = state.resources
+    .map((r) => parseInt(r.id.replace(/\D/g, ''), 10))
+    .filter((v) => !isNaN(v));
+  nextResourceId = resourceNumericIds.length > 0 ? Math.max(...resourceNumericIds) + 1 : 1;
   state.fixedGroups = Array.isArray(data.fixedGroups) ? data.fixedGroups.map((g) => g.filter((id) => nodeIdSet.has(id))).filter((g) => g.length > 0) : [];
+  const floorPlan = data.floorPlan || {};
+  state.floorPlan = {
+    positions: (floorPlan.positions || [])
+      .filter((p) => p && p.id != null && Number.isFinite(p.x) && Number.isFinite(p.y))
+      .map((p) => ({ id: String(p.id), x: p.x, y: p.y })),
+    headGuest: nodeIdSet.has(floorPlan.headGuest) ? floorPlan.headGuest : null,
+  };
   state.tags = (data.tags || []).map((t) => ({
     id: t.id,
     name: t.name || 'Tag',
@@ -1080,28 +2026,48 @@ function loadData(data) {
 
   inputMin.value = state.minimumCombinedWeight;
   inputMax.value = state.maximumCombinedWeight;
+  inputGroupCount.value = state.groupCount ?? '';
   if (inputSplittingPremium) inputSplittingPremium.value = state.splittingPremiumPoints;
+  syncSearchInputs();
+  renderTemplateRows();
+  renderSlotRows();
+  renderResourceRows();
   rebuildNodesUI();
   renderMatrix();
   syncGraph();
 
-  const effectiveMatrix = getEffectiveLinkMatrix();
-  const errors = validate(
-    state.nodes,
-    effectiveMatrix,
-    state.minimumCombinedWeight,
-    state.maximumCombinedWeight
-  );
-  if (errors.length > 0) showErrors(errors);
+  const issues = inputIssues(getEffectiveLinkMatrix(), getSolverOptions());
+  showValidationIssues(issues);
 
   resultsFieldset.hidden = true;
   resultsDiv.innerHTML = '';
   state.solutions = null;
   state.selectedSolution = null;
 
+  if (data.solution && Array.isArray(data.solution.groups)) {
+    const violations = showImportedSolution(data.solution);
+    if (violations.length > 0) {
+      showValidationIssues([...issues, ...violations]);
+    }
+  }
+
   saveToLocalStorage();
 }
 
+/** Scores a solution from a loaded file with evaluateSolution and shows it as the only result. */
+function showImportedSolution(solution) {
+  const groups = solution.groups.filter(Array.isArray);
+  const freeNodes = Array.isArray(solution.freeNodes) ? solution.freeNodes : [];
+  const { violations, ...sol } = evaluateSolution(getSolverNodes(), getEffectiveLinkMatrix(), groups, freeNodes, {
+    ...getSolverOptions(),
+    minCombined: state.minimumCombinedWeight,
+    maxCombined: state.maximumCombinedWeight,
+  });
+  state.solutions = [sol];
+  renderResults([sol], false);
+  return violations;
+}
+
 // ── Init ────────────────────────────────────────────────────────────────────
 
 if (btnToggleNodes && nodesFieldset) {